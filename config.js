@@ -12,16 +12,26 @@
  * 1. LOKALER MODUS:
  *    - Die Anwendung nutzt ausschließlich den lokalen 'database'-Ordner
  *    - Keine externe API-Verbindung erforderlich
- *    - Alle Daten werden aus app_index.js geladen
+ *    - Der Baum kommt aus app_index.js, die Spielinhalte werden bei Bedarf
+ *      aus app_index_shards/ nachgeladen (siehe payload_store.js)
  * 
  * 2. SETUP FÜR LOKALE ENTWICKLUNG:
- *    - Führe 'node tools/update_index.js' aus, um app_index.js zu aktualisieren
+ *    - Führe 'node tools/update_index.js' aus, um app_index.js und die Shards zu aktualisieren
  *    - Öffne index.html in einem Browser oder starte einen lokalen Server
  * 
  * 3. DEPLOYMENT AUF GITHUB PAGES:
  *    - Pushe alle Änderungen in das Repository
  *    - GitHub Pages hostet automatisch die Dateien
- *    - Der Index wird bei Bedarf über die GitHub API aktualisiert
+ *    - "Speicher & Cache → Index aktualisieren" baut den Index über die GitHub API
+ *      neu auf (Quelle: 'github' unten). Unveränderte Dateien behalten Metadaten
+ *      und Shards aus app_index.js, Wiederholungen fragen mit If-None-Match (ETag) und zählen bei 304 nicht
+ *      gegen das API-Limit von 60 Anfragen/Stunde
+ * 
+ * 4. OFFLINE-MODUS (PWA):
+ *    - sw.js cacht App, Spiele und alle JSON-Payloads, PDFs beim ersten Öffnen
+ *    - Die Cache-Version ergibt sich aus 'version' (unten) und dem Index-Build;
+ *      nach Code-Änderungen ohne neuen Index 'version' hochzählen
+ *    - manifest.webmanifest macht das Tool installierbar
  * 
  * VERWENDUNG IM CODE:
  * -------------------
@@ -41,6 +51,7 @@
  * Globales Konfigurationsobjekt
  * @type {Object}
  * @property {string} mode - Betriebsmodus der Anwendung
+ * @property {Object} github - Quelle für den Index-Neuaufbau über die GitHub API
  */
 window.AppConfig = {
     /**
@@ -56,5 +67,20 @@ window.AppConfig = {
     /**
      * Version
      */
-    version: '2.0.0'
+    version: '2.0.0',
+
+    /**
+     * GitHub-Quelle für den Index-Neuaufbau ("Speicher & Cache → Index aktualisieren").
+     * owner/repo leer: aus der GitHub-Pages-URL (https://<owner>.github.io/<repo>/).
+     * basePath: Ordner im Repo, in dem index.html liegt ('' = Wurzel, z. B. 'docs').
+     * apiBase: zum Testen ohne GitHub '/__pauker_github' (Dev-Server, siehe
+     *          tools/update_index.js --serve)
+     */
+    github: {
+        owner: '',
+        repo: '',
+        branch: 'main',
+        basePath: '',
+        apiBase: 'https://api.github.com'
+    }
 };
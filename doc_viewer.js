@@ -0,0 +1,449 @@
+/**
+ * ============================================================================
+ * doc_viewer.js - Eingebetteter PDF-Viewer (offline, pdf.js)
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Zeigt PDFs direkt in der Inhaltsansicht statt in einem neuen Tab:
+ * Seitennavigation, Zoom, Suche im Dokument und die zuletzt gelesene Seite
+ * pro Datei. Gerendert wird mit dem mitgelieferten pdf.js (kein externer
+ * Dienst), der Service Worker cacht Renderer und PDFs für den Offline-Modus.
+ *
+ * PDF.JS:
+ * -------
+ * vendor/pdfjs/ enthält pdfjs-dist 3.11.174 (build/pdf.min.js,
+ * build/pdf.worker.min.js, LICENSE). Die letzte Version mit klassischem
+ * Script (window.pdfjsLib) – passt ohne Build-Schritt zu den übrigen Dateien.
+ * Geladen wird pdf.js erst beim ersten geöffneten PDF.
+ *
+ * BEDIENUNG:
+ * ----------
+ * ← / → / Bild↑ / Bild↓   Seite zurück / vor
+ * Pos1 / Ende             erste / letzte Seite
+ * + / -                   Zoom (0 = an Breite anpassen)
+ * Enter im Suchfeld       nächster Treffer (Umschalt+Enter: vorheriger)
+ *
+ * SPEICHERFORMAT:
+ * ---------------
+ * Key: 'paukerDocPages_v1'
+ * { "<fileId>": { "page": 4, "updatedAt": 1700000000000 } }
+ *
+ * VERWENDUNG:
+ * -----------
+ *   const viewer = DocViewer.open(containerEl, { url: node.id, fileId: node.id, name: node.name });
+ *   viewer.destroy();   // beim Wechsel der Ansicht
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const PDFJS_URL = 'vendor/pdfjs/pdf.min.js';
+    const PDFJS_WORKER_URL = 'vendor/pdfjs/pdf.worker.min.js';
+    const PAGES_KEY = 'paukerDocPages_v1';
+    const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+    const STAGE_PADDING = 32;
+    const RESIZE_DEBOUNCE_MS = 150;
+
+    let pdfjsPromise = null;
+
+    /**
+     * Lädt pdf.js einmalig nach (Script-Tag, setzt window.pdfjsLib).
+     */
+    function loadPdfJs() {
+        if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+        if (!pdfjsPromise) {
+            pdfjsPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = PDFJS_URL;
+                script.onload = () => {
+                    if (!window.pdfjsLib) {
+                        reject(new Error('pdf.js ist nicht verfügbar.'));
+                        return;
+                    }
+                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                    resolve(window.pdfjsLib);
+                };
+                script.onerror = () => {
+                    pdfjsPromise = null;
+                    reject(new Error('pdf.js konnte nicht geladen werden.'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return pdfjsPromise;
+    }
+
+    function readPages() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(PAGES_KEY) || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    function getLastPage(fileId) {
+        const entry = readPages()[fileId];
+        return entry && entry.page > 0 ? entry.page : 1;
+    }
+
+    function rememberPage(fileId, page) {
+        const all = readPages();
+        all[fileId] = { page, updatedAt: Date.now() };
+        try {
+            localStorage.setItem(PAGES_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Seite konnte nicht gespeichert werden:', e);
+        }
+    }
+
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Öffnet ein PDF im Container. Lädt asynchron, liefert aber sofort
+     * einen Controller zurück (für destroy() beim Ansichtswechsel).
+     * @param {HTMLElement} container
+     * @param {Object} options - { url, fileId, name }
+     * @returns {{destroy: Function}}
+     */
+    function open(container, options) {
+        const url = options.url;
+        const fileId = options.fileId || url;
+        const name = options.name || url;
+
+        container.innerHTML = `
+            <div class="doc-viewer" tabindex="0" aria-label="${escapeHtml(name)}">
+                <div class="doc-toolbar">
+                    <div class="doc-group">
+                        <button type="button" class="btn secondary" data-action="prev" title="Vorherige Seite (←)" aria-label="Vorherige Seite">◀</button>
+                        <input type="number" class="doc-page-input" min="1" value="1" aria-label="Seite">
+                        <span class="doc-page-count">/ –</span>
+                        <button type="button" class="btn secondary" data-action="next" title="Nächste Seite (→)" aria-label="Nächste Seite">▶</button>
+                    </div>
+                    <div class="doc-group">
+                        <button type="button" class="btn secondary" data-action="zoom-out" title="Verkleinern (-)" aria-label="Verkleinern">−</button>
+                        <button type="button" class="btn secondary doc-zoom-label" data-action="fit" title="An Breite anpassen (0)">Breite</button>
+                        <button type="button" class="btn secondary" data-action="zoom-in" title="Vergrößern (+)" aria-label="Vergrößern">+</button>
+                    </div>
+                    <div class="doc-group doc-search">
+                        <input type="search" class="doc-search-input" placeholder="Im Dokument suchen ..." aria-label="Im Dokument suchen">
+                        <span class="doc-search-meta" aria-live="polite"></span>
+                        <button type="button" class="btn secondary" data-action="search-prev" title="Vorheriger Treffer" aria-label="Vorheriger Treffer">↑</button>
+                        <button type="button" class="btn secondary" data-action="search-next" title="Nächster Treffer" aria-label="Nächster Treffer">↓</button>
+                    </div>
+                    <a class="btn secondary doc-download" href="${escapeHtml(url)}" download title="Herunterladen">⬇</a>
+                </div>
+                <div class="doc-stage">
+                    <div class="doc-page">
+                        <canvas></canvas>
+                        <div class="doc-highlights"></div>
+                    </div>
+                    <div class="doc-status">Lade PDF ...</div>
+                </div>
+            </div>
+        `;
+
+        const root = container.querySelector('.doc-viewer');
+        const stage = root.querySelector('.doc-stage');
+        const pageEl = root.querySelector('.doc-page');
+        const canvas = root.querySelector('canvas');
+        const highlightsEl = root.querySelector('.doc-highlights');
+        const statusEl = root.querySelector('.doc-status');
+        const pageInput = root.querySelector('.doc-page-input');
+        const pageCountEl = root.querySelector('.doc-page-count');
+        const zoomLabel = root.querySelector('.doc-zoom-label');
+        const searchInput = root.querySelector('.doc-search-input');
+        const searchMeta = root.querySelector('.doc-search-meta');
+
+        let destroyed = false;
+        let loadingTask = null;
+        let pdf = null;
+        let pageNum = 1;
+        let zoom = null;             // null = an Breite anpassen
+        let lastScale = 1;           // tatsächlich gerenderter Maßstab
+        let renderTask = null;
+        let renderToken = 0;
+        let resizeObserver = null;
+        let resizeTimer = null;
+        const textCache = new Map(); // Seite -> Textelemente (getTextContent)
+        let searchToken = 0;
+        let hits = [];               // [{ page, item }]
+        let hitIdx = -1;
+        let query = '';
+
+        function showStatus(text, isError) {
+            statusEl.textContent = text;
+            statusEl.classList.toggle('hidden', !text);
+            statusEl.classList.toggle('doc-status--error', !!isError);
+        }
+
+        function updateToolbar(scale) {
+            pageInput.value = String(pageNum);
+            pageInput.max = String(pdf ? pdf.numPages : 1);
+            pageCountEl.textContent = `/ ${pdf ? pdf.numPages : '–'}`;
+            zoomLabel.textContent = zoom === null ? 'Breite' : Math.round(scale * 100) + ' %';
+        }
+
+        async function renderPage() {
+            if (!pdf || destroyed) return;
+            const token = ++renderToken;
+            if (renderTask) renderTask.cancel();
+
+            const page = await pdf.getPage(pageNum);
+            if (token !== renderToken || destroyed) return;
+
+            const base = page.getViewport({ scale: 1 });
+            const fitScale = Math.max(0.25, (stage.clientWidth - STAGE_PADDING) / base.width);
+            const scale = zoom === null ? fitScale : zoom;
+            lastScale = scale;
+            const viewport = page.getViewport({ scale });
+            const ratio = window.devicePixelRatio || 1;
+
+            canvas.width = Math.floor(viewport.width * ratio);
+            canvas.height = Math.floor(viewport.height * ratio);
+            canvas.style.width = `${Math.floor(viewport.width)}px`;
+            canvas.style.height = `${Math.floor(viewport.height)}px`;
+            pageEl.style.width = canvas.style.width;
+            pageEl.style.height = canvas.style.height;
+
+            renderTask = page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport,
+                transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+            });
+            try {
+                await renderTask.promise;
+            } catch (err) {
+                if (err && err.name === 'RenderingCancelledException') return;
+                throw err;
+            }
+            if (token !== renderToken || destroyed) return;
+
+            updateToolbar(scale);
+            await drawHighlights(viewport);
+        }
+
+        function render() {
+            renderPage().catch(err => {
+                if (!destroyed) showStatus('Seite konnte nicht angezeigt werden: ' + err.message, true);
+            });
+        }
+
+        function goToPage(n) {
+            if (!pdf) return;
+            const target = Math.min(pdf.numPages, Math.max(1, Math.round(Number(n) || 1)));
+            if (target !== pageNum) {
+                pageNum = target;
+                rememberPage(fileId, pageNum);
+                stage.scrollTop = 0;
+            }
+            render();
+        }
+
+        function setZoom(next) {
+            zoom = next;
+            render();
+        }
+
+        function stepZoom(direction) {
+            const current = zoom === null ? lastScale : zoom;
+            const steps = direction > 0 ? ZOOM_STEPS.filter(s => s > current + 0.01) : ZOOM_STEPS.filter(s => s < current - 0.01);
+            if (steps.length === 0) return;
+            setZoom(direction > 0 ? steps[0] : steps[steps.length - 1]);
+        }
+
+        // --- Suche im Dokument ---
+
+        async function pageItems(n) {
+            if (!textCache.has(n)) {
+                const page = await pdf.getPage(n);
+                const content = await page.getTextContent();
+                textCache.set(n, content.items);
+            }
+            return textCache.get(n);
+        }
+
+        /**
+         * Markiert alle Treffer der aktuellen Seite (ganze Textzeile je Treffer).
+         */
+        async function drawHighlights(viewport) {
+            highlightsEl.innerHTML = '';
+            if (!query) return;
+            const items = await pageItems(pageNum);
+            hits.forEach((hit, idx) => {
+                if (hit.page !== pageNum) return;
+                const item = items[hit.item];
+                const tx = item.transform;
+                const height = item.height || Math.hypot(tx[2], tx[3]);
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([tx[4], tx[5], tx[4] + item.width, tx[5] + height]);
+                const mark = document.createElement('div');
+                mark.className = 'doc-highlight' + (idx === hitIdx ? ' doc-highlight--active' : '');
+                mark.style.left = `${Math.min(x1, x2)}px`;
+                mark.style.top = `${Math.min(y1, y2)}px`;
+                mark.style.width = `${Math.abs(x2 - x1)}px`;
+                mark.style.height = `${Math.abs(y2 - y1)}px`;
+                highlightsEl.appendChild(mark);
+                if (idx === hitIdx) mark.scrollIntoView({ block: 'nearest' });
+            });
+        }
+
+        function updateSearchMeta() {
+            if (!query) {
+                searchMeta.textContent = '';
+            } else if (hits.length === 0) {
+                searchMeta.textContent = 'Keine Treffer';
+            } else {
+                searchMeta.textContent = `${hitIdx + 1} / ${hits.length}`;
+            }
+        }
+
+        async function runSearch(raw) {
+            const token = ++searchToken;
+            query = raw.trim().toLocaleLowerCase();
+            hits = [];
+            hitIdx = -1;
+            if (!query || !pdf) {
+                updateSearchMeta();
+                render();
+                return;
+            }
+
+            searchMeta.textContent = 'Suche ...';
+            for (let n = 1; n <= pdf.numPages; n++) {
+                const items = await pageItems(n);
+                if (token !== searchToken || destroyed) return;
+                items.forEach((item, idx) => {
+                    if (item.str && item.str.toLocaleLowerCase().includes(query)) hits.push({ page: n, item: idx });
+                });
+            }
+
+            // Erster Treffer ab der aktuellen Seite
+            hitIdx = hits.length === 0 ? -1 : Math.max(0, hits.findIndex(h => h.page >= pageNum));
+            updateSearchMeta();
+            if (hitIdx >= 0) goToPage(hits[hitIdx].page);
+            else render();
+        }
+
+        function stepHit(direction) {
+            if (hits.length === 0) return;
+            hitIdx = (hitIdx + direction + hits.length) % hits.length;
+            updateSearchMeta();
+            goToPage(hits[hitIdx].page);
+        }
+
+        // --- Bedienung ---
+
+        root.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            switch (btn.dataset.action) {
+                case 'prev': goToPage(pageNum - 1); break;
+                case 'next': goToPage(pageNum + 1); break;
+                case 'zoom-in': stepZoom(1); break;
+                case 'zoom-out': stepZoom(-1); break;
+                case 'fit': setZoom(null); break;
+                case 'search-prev': stepHit(-1); break;
+                case 'search-next': stepHit(1); break;
+            }
+        });
+
+        pageInput.addEventListener('change', () => goToPage(pageInput.value));
+
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => runSearch(searchInput.value), 250);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (searchInput.value.trim().toLocaleLowerCase() !== query) {
+                clearTimeout(searchTimer);
+                runSearch(searchInput.value);
+            } else {
+                stepHit(e.shiftKey ? -1 : 1);
+            }
+        });
+
+        root.addEventListener('keydown', (e) => {
+            if (e.target.closest('input') || e.altKey || e.ctrlKey || e.metaKey) return;
+            let handled = true;
+            switch (e.key) {
+                case 'ArrowLeft':
+                case 'PageUp': goToPage(pageNum - 1); break;
+                case 'ArrowRight':
+                case 'PageDown': goToPage(pageNum + 1); break;
+                case 'Home': goToPage(1); break;
+                case 'End': goToPage(pdf ? pdf.numPages : 1); break;
+                case '+': stepZoom(1); break;
+                case '-': stepZoom(-1); break;
+                case '0': setZoom(null); break;
+                default: handled = false;
+            }
+            if (handled) e.preventDefault();
+        });
+
+        // "An Breite anpassen" folgt der Fenster-/Drawer-Breite
+        if (window.ResizeObserver) {
+            resizeObserver = new ResizeObserver(() => {
+                if (zoom !== null) return;
+                clearTimeout(resizeTimer);
+                resizeTimer = setTimeout(render, RESIZE_DEBOUNCE_MS);
+            });
+            resizeObserver.observe(stage);
+        }
+
+        // --- Laden ---
+
+        loadPdfJs()
+            .then(pdfjsLib => {
+                if (destroyed) return null;
+                // Ganze Datei in einem Stück: keine Range-Anfragen (206), die der
+                // Service Worker nicht cachen kann; so ist das PDF danach offline da
+                loadingTask = pdfjsLib.getDocument({ url, disableRange: true, disableStream: true });
+                return loadingTask.promise;
+            })
+            .then(doc => {
+                if (!doc) return;
+                if (destroyed) {
+                    doc.destroy();
+                    return;
+                }
+                pdf = doc;
+                pageNum = Math.min(pdf.numPages, getLastPage(fileId));
+                showStatus('');
+                render();
+            })
+            .catch(err => {
+                if (destroyed) return;
+                showStatus(`PDF konnte nicht angezeigt werden: ${err.message}`, true);
+            });
+
+        return {
+            destroy() {
+                destroyed = true;
+                clearTimeout(resizeTimer);
+                clearTimeout(searchTimer);
+                if (resizeObserver) resizeObserver.disconnect();
+                if (renderTask) renderTask.cancel();
+                if (loadingTask) loadingTask.destroy();
+                else if (pdf) pdf.destroy();
+            }
+        };
+    }
+
+    window.DocViewer = {
+        PAGES_KEY,
+        open,
+        getLastPage
+    };
+})();
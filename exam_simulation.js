@@ -0,0 +1,241 @@
+/**
+ * ============================================================================
+ * exam_simulation.js - Prüfungssimulation über mehrere Payloads
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Stellt aus allen Spielen unterhalb eines Ordners (z. B. "Teil 1/Gesamt")
+ * eine Prüfung zusammen. Fragen liefern die Spieltypen, deren Typ-Modul
+ * examQuestions() anbietet (games/types/: quick_quiz, what_and_why,
+ * escape_game).
+ * Das Ergebnis ist ein normales escape_game-Payload mit einem Abschnitt pro
+ * Kapitel und einem zusätzlichen "exam"-Block. Escape-Game.js erkennt den
+ * Block und spielt die Fragen mit einer globalen Prüfungsuhr und Abgabe.
+ *
+ * KAPITEL:
+ * --------
+ * Kapitel = direkter Unterordner des gewählten Ordners, in dem die Datei
+ * liegt. Dateien direkt im gewählten Ordner bilden ein eigenes Kapitel.
+ *
+ * VERWENDUNG:
+ * -----------
+ *   // index.js (Ordner-Dashboard)
+ *   const payload = ExamSimulation.buildExam(folderNode, { questionCount: 30, minutes: 45 });
+ *   // Escape-Game.js (nach der Abgabe)
+ *   const result = ExamSimulation.grade([{ title: 'Kapitel 1', correct: 4, total: 5 }]);
+ *
+ * BEWERTUNG:
+ * ----------
+ * IHK-Punkteschlüssel (0-100 Punkte), bestanden ab 50 Punkten.
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const EXAM_ID_PREFIX = 'exam:';
+    const DEFAULT_QUESTION_COUNT = 30;
+    const MINUTES_PER_QUESTION = 1.5;
+    const PASS_POINTS = 50;
+
+    // IHK-Notenschlüssel: ab "min" Punkten gilt die Note
+    const GRADE_SCALE = [
+        { min: 92, note: 1, label: 'sehr gut' },
+        { min: 81, note: 2, label: 'gut' },
+        { min: 67, note: 3, label: 'befriedigend' },
+        { min: 50, note: 4, label: 'ausreichend' },
+        { min: 30, note: 5, label: 'mangelhaft' },
+        { min: 0, note: 6, label: 'ungenügend' }
+    ];
+
+    function examIdFor(folderId) {
+        return EXAM_ID_PREFIX + folderId;
+    }
+
+    function shuffle(arr, random) {
+        const copy = [...arr];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    function stripExtension(name) {
+        return String(name).replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Wandelt ein Payload in Prüfungsfragen um ({ text, options, correct, source }).
+     * Welche Typen Fragen liefern, legen die Typ-Module fest (examQuestions).
+     */
+    function questionsFromPayload(data, fileId) {
+        if (!data || typeof data !== 'object') return [];
+        return window.GameRegistry.examQuestions(data, fileId);
+    }
+
+    function collectJsonNodes(node, out) {
+        if (!node) return out;
+        if (!node.isFolder) {
+            if (node.kind === 'json') out.push(node);
+            return out;
+        }
+        (node.children || []).forEach(child => collectJsonNodes(child, out));
+        return out;
+    }
+
+    function defaultGetData(node) {
+        return node.data;
+    }
+
+    /**
+     * Gibt es unterhalb des Ordners Spiele, aus denen Fragen gezogen werden
+     * können? Knoten ohne Spieltyp (z. B. neue Dateien im GitHub-Index) zählen als möglich.
+     */
+    function hasSources(folderNode) {
+        return collectJsonNodes(folderNode, []).some(n => !n.meta || !n.meta.game_type || window.GameRegistry.examTypes().includes(n.meta.game_type));
+    }
+
+    /**
+     * Sammelt alle Prüfungsfragen unterhalb eines Ordners, gruppiert nach Kapitel.
+     * Knoten ohne geladene Daten werden übersprungen.
+     * @param {Object} folderNode - Knoten aus dem Index-Baum
+     * @param {Function} [getData] - node => Payload (Standard: node.data)
+     * @returns {Array<{id, title, questions: Array}>}
+     */
+    function collectChapters(folderNode, getData = defaultGetData) {
+        if (!folderNode || !folderNode.isFolder) return [];
+        const chapters = [];
+        const looseFiles = [];
+
+        (folderNode.children || []).forEach(child => {
+            if (!child.isFolder) {
+                looseFiles.push(child);
+                return;
+            }
+            chapters.push({ id: child.id, title: child.name, nodes: collectJsonNodes(child, []) });
+        });
+        if (looseFiles.length > 0) {
+            chapters.push({ id: folderNode.id, title: folderNode.name, nodes: collectJsonNodes({ isFolder: true, children: looseFiles }, []) });
+        }
+
+        return chapters
+            .map(ch => ({
+                id: ch.id,
+                title: ch.title,
+                questions: ch.nodes.reduce((acc, n) => acc.concat(questionsFromPayload(getData(n), n.id)), [])
+            }))
+            .filter(ch => ch.questions.length > 0);
+    }
+
+    function countQuestions(folderNode, getData) {
+        return collectChapters(folderNode, getData).reduce((sum, ch) => sum + ch.questions.length, 0);
+    }
+
+    /**
+     * Baut das Prüfungs-Payload (escape_game mit "exam"-Block).
+     * Gezogen wird reihum aus den Kapiteln, damit jedes Kapitel vertreten ist.
+     * @param {Object} folderNode
+     * @param {Object} [options]
+     * @param {number} [options.questionCount=30]
+     * @param {number} [options.minutes]      - Standard: 1,5 Minuten pro Frage
+     * @param {Function} [options.random]     - Zufallsquelle (Standard: Math.random)
+     * @param {Function} [options.getData]    - node => Payload (Standard: node.data)
+     * @returns {Object|null} null, wenn der Ordner keine passenden Fragen enthält
+     */
+    function buildExam(folderNode, options = {}) {
+        const random = typeof options.random === 'function' ? options.random : Math.random;
+        const chapters = collectChapters(folderNode, options.getData).map(ch => ({ ...ch, queue: shuffle(ch.questions, random) }));
+        const available = chapters.reduce((sum, ch) => sum + ch.questions.length, 0);
+        if (available === 0) return null;
+
+        const wanted = Math.max(1, Math.min(available, Math.round(Number(options.questionCount) || DEFAULT_QUESTION_COUNT)));
+        const picked = chapters.map(() => []);
+        let taken = 0;
+        // Reihum ziehen, Kapitelreihenfolge pro Runde zufällig
+        while (taken < wanted) {
+            shuffle(chapters.map((_, idx) => idx), random).forEach(idx => {
+                if (taken >= wanted || chapters[idx].queue.length === 0) return;
+                picked[idx].push(chapters[idx].queue.shift());
+                taken++;
+            });
+        }
+
+        const sections = [];
+        chapters.forEach((ch, idx) => {
+            if (picked[idx].length === 0) return;
+            const sectionId = `kapitel-${idx + 1}`;
+            sections.push({
+                id: sectionId,
+                type: 'quiz',
+                title: stripExtension(ch.title),
+                subtitle: `${picked[idx].length} ${picked[idx].length === 1 ? 'Frage' : 'Fragen'}`,
+                hintDefault: 'Antworten werden erst bei der Abgabe bewertet.',
+                questions: picked[idx].map((q, qIdx) => ({
+                    id: `q${qIdx + 1}`,
+                    text: q.text,
+                    options: q.options,
+                    correct: q.correct,
+                    source: q.source
+                }))
+            });
+        });
+
+        const minutes = Number(options.minutes) > 0
+            ? Math.round(Number(options.minutes))
+            : Math.max(1, Math.ceil(wanted * MINUTES_PER_QUESTION));
+
+        return {
+            game_type: 'escape_game',
+            schema_version: '1.0',
+            title: `Prüfungssimulation – ${folderNode.name}`,
+            topic: folderNode.name,
+            estimated_minutes: minutes,
+            exam: {
+                folderId: folderNode.id,
+                questionCount: wanted,
+                minutes,
+                createdAt: Date.now(),
+                chapters: sections.map(s => ({ sectionId: s.id, title: s.title }))
+            },
+            sections
+        };
+    }
+
+    function gradeForPoints(points) {
+        return GRADE_SCALE.find(g => points >= g.min) || GRADE_SCALE[GRADE_SCALE.length - 1];
+    }
+
+    /**
+     * Bewertet eine abgegebene Prüfung.
+     * @param {Array<{title, correct, total}>} chapters
+     * @returns {{correct, total, points, note, label, passed, chapters: Array}}
+     */
+    function grade(chapters) {
+        const list = (Array.isArray(chapters) ? chapters : []).map(ch => {
+            const total = Math.max(0, Number(ch.total) || 0);
+            const correct = Math.min(total, Math.max(0, Number(ch.correct) || 0));
+            const points = total > 0 ? Math.round((correct / total) * 100) : 0;
+            return { ...ch, correct, total, points, label: gradeForPoints(points).label };
+        });
+        const correct = list.reduce((sum, ch) => sum + ch.correct, 0);
+        const total = list.reduce((sum, ch) => sum + ch.total, 0);
+        const points = total > 0 ? Math.round((correct / total) * 100) : 0;
+        const g = gradeForPoints(points);
+
+        return { correct, total, points, note: g.note, label: g.label, passed: points >= PASS_POINTS, chapters: list };
+    }
+
+    window.ExamSimulation = {
+        EXAM_ID_PREFIX,
+        PASS_POINTS,
+        examIdFor,
+        hasSources,
+        collectChapters,
+        countQuestions,
+        buildExam,
+        grade
+    };
+})();
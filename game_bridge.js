@@ -0,0 +1,122 @@
+/**
+ * ============================================================================
+ * game_bridge.js - Nachrichten zwischen App (index.js) und Spiel-iframes
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * App und Spiele reden nur über window.postMessage miteinander, niemand
+ * greift in das Dokument des anderen (iframe.contentDocument, window.parent).
+ * Damit funktioniert die Verbindung auch, wenn ein Spiel in einem
+ * sandbox-iframe oder von einem anderen Origin läuft.
+ *
+ * NACHRICHT:
+ * ----------
+ * { protocol: 'pauker-game', version: 1, type: 'progress', fileId: '...', data: { ... } }
+ * - Andere Protokolle und andere Hauptversionen werden verworfen
+ * - Unbekannte Typen ignoriert der Empfänger; neue Typen brauchen also
+ *   keine neue Version, nur geänderte Bedeutungen bestehender Typen
+ *
+ * EREIGNISSE (Spiel → App):
+ * -------------------------
+ *   ready         { gameType, title, resumed, sharedStorage, seed, shuffled }
+ *   started       { runId }
+ *   progress      { runId, score, maxScore, completed, recorded }
+ *   itemAnswered  { itemId, correct, recorded }
+ *   completed     { runId, score, maxScore, recorded }   (einmal pro Versuch)
+ *   paused        { paused }
+ *   fatal         { code, title, message, details, excerpt }   (siehe games/game_errors.js)
+ *   back          { }   Fehlerseite: "Zurück zur Übersicht" gewählt
+ * recorded = das Spiel hat das Ergebnis selbst in die gemeinsamen Stores
+ * (ProgressStore/LeitnerStore) geschrieben. Bei false (anderer Origin,
+ * sandbox ohne allow-same-origin) übernimmt die App das Speichern.
+ * seed = Zufalls-Seed des Spiels (gleicher Seed → gleiche Reihenfolge),
+ * shuffled = false, wenn das Payload "shuffle": false setzt.
+ *
+ * BEFEHLE (App → Spiel):
+ * ----------------------
+ *   setTheme      { theme: 'light' | 'dark' }
+ *   pause, resume, restart
+ *
+ * VERWENDUNG:
+ * -----------
+ *   GameBridge.post(iframe.contentWindow, 'setTheme', fileId, { theme: 'light' });
+ *   const stop = GameBridge.listen(() => iframe.contentWindow, (msg) => { ... });
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const PROTOCOL = 'pauker-game';
+    const VERSION = 1;
+
+    const EVENTS = ['ready', 'started', 'progress', 'itemAnswered', 'completed', 'paused', 'fatal', 'back'];
+    const COMMANDS = ['setTheme', 'pause', 'resume', 'restart'];
+
+    let versionWarned = false;
+
+    function create(type, fileId, data) {
+        return { protocol: PROTOCOL, version: VERSION, type, fileId: fileId || null, data: data || {} };
+    }
+
+    /**
+     * Prüft eine empfangene Nachricht.
+     * @returns {Object|null} die Nachricht oder null, wenn sie nicht zum Protokoll passt
+     */
+    function parse(raw) {
+        if (!raw || typeof raw !== 'object' || raw.protocol !== PROTOCOL || typeof raw.type !== 'string') return null;
+        if (Math.floor(Number(raw.version)) !== VERSION) {
+            if (!versionWarned) console.warn(`GameBridge: Protokollversion ${raw.version} wird nicht unterstützt (erwartet ${VERSION}).`);
+            versionWarned = true;
+            return null;
+        }
+        return { type: raw.type, fileId: raw.fileId || null, data: raw.data && typeof raw.data === 'object' ? raw.data : {} };
+    }
+
+    /**
+     * Schickt eine Nachricht an ein anderes Fenster.
+     * targetOrigin '*': ein sandbox-iframe hat den Origin "null", an den sich
+     * nicht gezielt senden lässt. Die Nachrichten enthalten nur Spielstände;
+     * der Empfänger prüft stattdessen event.source.
+     */
+    function post(target, type, fileId, data) {
+        if (!target || typeof target.postMessage !== 'function') return false;
+        try {
+            target.postMessage(create(type, fileId, data), '*');
+            return true;
+        } catch (e) {
+            console.warn('GameBridge: Nachricht konnte nicht gesendet werden:', type, e);
+            return false;
+        }
+    }
+
+    /**
+     * Hört auf Nachrichten eines bestimmten Fensters.
+     * @param {Function} getSource - () => erwartetes Fenster (z. B. iframe.contentWindow)
+     * @param {Function} handler   - (msg, event) => void
+     * @returns {Function} beendet das Zuhören
+     */
+    function listen(getSource, handler) {
+        const onMessage = (event) => {
+            const source = getSource();
+            if (!source || event.source !== source) return;
+            const msg = parse(event.data);
+            if (msg) handler(msg, event);
+        };
+        window.addEventListener('message', onMessage);
+        return () => window.removeEventListener('message', onMessage);
+    }
+
+    window.GameBridge = {
+        PROTOCOL,
+        VERSION,
+        EVENTS,
+        COMMANDS,
+        create,
+        parse,
+        post,
+        listen
+    };
+})();
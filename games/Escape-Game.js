@@ -20,8 +20,16 @@
             this.solvedSections = new Set();
             this.totalSections = 0;
 
+            // Leitner: pro Runde zählt nur der erste Prüfversuch eines Items
+            this.recordedItems = new Set();
+
             this.draggingCardId = null;
 
+            // Prüfungssimulation (Payload mit "exam"-Block, siehe ../exam_simulation.js)
+            this.exam = null;
+            this.submitBtn = null;
+            this.examResultEl = null;
+
             // DOM Elements
             this.statTimerEl = null;
             this.statSolvedEl = null;
@@ -48,6 +56,12 @@
 
             // 2. Render Sections
             this.renderSections(data.sections || []);
+            if (data.exam) this.setupExamMode(data.exam);
+            // Antworten (Radio/Select) sofort sichern
+            this.puzzleContainer.addEventListener("change", () => {
+                if (this.exam) this.updateSolvedStatus();
+                this.saveSession();
+            });
 
             // 3. Start
             this.resetGame();
@@ -63,8 +77,9 @@
             // User said "sämtliche positionen". But sections usually follow a path.
             // If sections are independent, we could shuffle them. But usually escape game is linear or parallel.
             // I'll leave sections order but shuffle content.
+            // Sektionen mit fälligen Items (Leitner) kommen zuerst.
 
-            sections.forEach(section => {
+            this.sortByDue(sections, s => this.sectionItemIds(s)).forEach(section => {
                 // Determine container
                 const sectionEl = document.createElement("section");
                 sectionEl.className = "section-card";
@@ -119,15 +134,6 @@
 
         // --- Renderers ---
 
-        shuffleArray(arr) {
-            const copy = [...arr];
-            for (let i = copy.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [copy[i], copy[j]] = [copy[j], copy[i]];
-            }
-            return copy;
-        }
-
         renderSort(section, container) {
             // Pool
             const pool = document.createElement("div");
@@ -165,7 +171,7 @@
         }
 
         renderQuiz(section, container) {
-            (section.questions || []).forEach(q => {
+            this.sortByDue(section.questions || [], q => this.itemKey(section, q.id)).forEach(q => {
                 const qDiv = document.createElement("div");
                 qDiv.className = "quiz-question";
                 qDiv.dataset.quizId = q.id;
@@ -240,7 +246,7 @@
         }
 
         tickTimer() {
-            if (this.gameLocked) return;
+            if (this.gameLocked || this.paused) return;
             this.remainingSeconds -= 1;
             if (this.remainingSeconds <= 0) {
                 this.remainingSeconds = 0;
@@ -249,6 +255,8 @@
                 return;
             }
             this.updateTimerDisplay();
+            // Restzeit regelmäßig sichern (Reload / Dateiwechsel)
+            if (this.remainingSeconds % 10 === 0) this.saveSession();
         }
 
         updateTimerDisplay() {
@@ -264,6 +272,11 @@
         }
 
         handleTimeUp() {
+            // Prüfung: bei Zeitablauf automatisch abgeben
+            if (this.exam) {
+                this.submitExam(true);
+                return;
+            }
             if (this.timerId) { clearInterval(this.timerId); this.timerId = null; }
             this.gameLocked = true;
             this.doorSignEl.textContent = "ZU SPÄT";
@@ -272,6 +285,8 @@
             this.doorEl.classList.remove("door--open");
             this.doorGlowEl.classList.remove("door-glow--active");
             this._disableAllButtons();
+            this.reportProgress();
+            this.clearSession();
         }
 
         _disableAllButtons() {
@@ -285,6 +300,10 @@
         // --- Game Logic ---
 
         updateSolvedStatus() {
+            if (this.exam) {
+                this.statSolvedEl.textContent = `${this.countAnswered()} / ${this.exam.questionCount}`;
+                return;
+            }
             const count = this.solvedSections.size;
             this.statSolvedEl.textContent = `${count} / ${this.totalSections}`;
 
@@ -302,6 +321,7 @@
             this.doorSignEl.classList.remove("door-sign--closed");
             this.doorSignEl.classList.add("door-sign--open");
             this._disableAllButtons();
+            this.clearSession();
         }
 
         resetGame() {
@@ -309,6 +329,8 @@
             this.remainingSeconds = this.START_SECONDS;
             this.gameLocked = false;
             this.solvedSections.clear();
+            this.recordedItems.clear();
+            this.startRun();
 
             // UI Reset
             this.updateTimerDisplay();
@@ -348,9 +370,15 @@
             });
 
             this._enableAllButtons();
+            if (this.exam) this.resetExam();
             this.startTimer();
         }
 
+        // Befehl 'restart' der App (GameBase-Bridge)
+        onRestart() {
+            this.resetGame();
+        }
+
         checkSection(sectionId) {
             if (this.gameLocked) return;
 
@@ -362,6 +390,13 @@
             else if (section.type === "quiz") solved = this.checkQuiz(section);
             else if (section.type === "capital") solved = this.checkCapital(section);
 
+            this.setSectionStatus(sectionId, solved);
+            this.updateSolvedStatus();
+            this.reportProgress();
+            this.saveSession();
+        }
+
+        setSectionStatus(sectionId, solved) {
             const statusEl = document.getElementById(`status-${sectionId}`);
             if (solved) {
                 this.solvedSections.add(sectionId);
@@ -372,9 +407,253 @@
                 statusEl.textContent = "noch Fehler";
                 statusEl.className = "section-status section-status--fail";
             }
+        }
+
+        // Fortschritt: gelöste Räume; geschafft, wenn die Tür offen ist
+        reportProgress() {
+            this.reportResult({
+                score: this.solvedSections.size,
+                maxScore: this.totalSections,
+                completed: this.totalSections > 0 && this.solvedSections.size === this.totalSections
+            });
+        }
+
+        // --- Spielstand (Speichern & Fortsetzen) ---
+
+        getSaveState() {
+            // Tür offen oder Zeit abgelaufen: nichts mehr fortzusetzen
+            if (this.gameLocked) return null;
+
+            const sections = {};
+            Object.values(this.sectionData).forEach(section => {
+                const sectionEl = document.getElementById(`section-${section.id}`);
+                if (!sectionEl) return;
+
+                if (section.type === "sort") {
+                    const placements = {};
+                    sectionEl.querySelectorAll(".escape-dropzone .drag-card").forEach(card => {
+                        placements[card.dataset.cardId] = card.closest(".escape-dropzone").dataset.zone;
+                    });
+                    sections[section.id] = { placements };
+                } else if (section.type === "quiz") {
+                    const answers = {};
+                    (section.questions || []).forEach(q => {
+                        const checked = sectionEl.querySelector(`input[name="${section.id}_${q.id}"]:checked`);
+                        if (checked) answers[q.id] = checked.value;
+                    });
+                    sections[section.id] = { answers };
+                } else if (section.type === "capital") {
+                    const values = {};
+                    sectionEl.querySelectorAll("select[data-row-key]").forEach(sel => {
+                        if (sel.value !== "") values[sel.dataset.rowKey] = sel.value;
+                    });
+                    sections[section.id] = { values };
+                }
+            });
+
+            return {
+                remainingSeconds: this.remainingSeconds,
+                sectionOrder: [...this.puzzleContainer.querySelectorAll(".section-card")].map(el => el.id),
+                solvedSections: [...this.solvedSections],
+                recordedItems: [...this.recordedItems],
+                sections
+            };
+        }
+
+        restoreSaveState(state) {
+            if (!state) return;
+
+            // Reihenfolge der Rätsel wie beim Speichern
+            (state.sectionOrder || []).forEach(id => {
+                const el = document.getElementById(id);
+                if (el) this.puzzleContainer.appendChild(el);
+            });
+
+            Object.entries(state.sections || {}).forEach(([sectionId, saved]) => {
+                const section = this.sectionData[sectionId];
+                const sectionEl = document.getElementById(`section-${sectionId}`);
+                if (!section || !sectionEl) return;
+
+                if (section.type === "sort") {
+                    Object.entries(saved.placements || {}).forEach(([cardId, zoneName]) => {
+                        const card = sectionEl.querySelector(`.drag-card[data-card-id="${cardId}"]`);
+                        const zone = [...sectionEl.querySelectorAll(".escape-dropzone")].find(z => z.dataset.zone === zoneName);
+                        if (card && zone) zone.appendChild(card);
+                    });
+                } else if (section.type === "quiz") {
+                    Object.entries(saved.answers || {}).forEach(([qId, value]) => {
+                        const input = [...sectionEl.querySelectorAll(`input[name="${sectionId}_${qId}"]`)].find(i => i.value === value);
+                        if (input) input.checked = true;
+                    });
+                } else if (section.type === "capital") {
+                    Object.entries(saved.values || {}).forEach(([rowKey, value]) => {
+                        const sel = sectionEl.querySelector(`select[data-row-key="${rowKey}"]`);
+                        if (sel) sel.value = value;
+                    });
+                }
+            });
+
+            this.recordedItems = new Set(state.recordedItems || []);
+            (state.solvedSections || []).forEach(id => {
+                if (this.sectionData[id]) this.setSectionStatus(id, true);
+            });
+
+            if (typeof state.remainingSeconds === "number" && state.remainingSeconds > 0) {
+                this.remainingSeconds = Math.min(state.remainingSeconds, this.START_SECONDS);
+            }
+            this.updateTimerDisplay();
+            this.updateSolvedStatus();
+        }
+
+        // --- Prüfungssimulation ---
+
+        /**
+         * Prüfungsmodus: keine Prüfen-Knöpfe pro Abschnitt und keine Tür,
+         * stattdessen eine Abgabe für alle Kapitel. Die Fragen zählen nicht
+         * für die Leitner-Boxen (die Prüfung ist keine eigene Lerneinheit).
+         */
+        setupExamMode(exam) {
+            this.exam = {
+                questionCount: exam.questionCount || 0,
+                chapters: Array.isArray(exam.chapters) ? exam.chapters : []
+            };
+            // Prüfungsuhr: gewählte Prüfungszeit statt der festen 15 Minuten
+            const minutes = Number(exam.minutes || this.payload.estimated_minutes);
+            if (minutes > 0) this.START_SECONDS = Math.round(minutes * 60);
+            document.body.classList.add("exam-mode");
+
+            const titleEl = document.querySelector(".title-block h1");
+            if (titleEl) titleEl.textContent = this.payload.title || "Prüfungssimulation";
+            const subEl = document.querySelector(".title-block p");
+            if (subEl) subEl.textContent = `${this.exam.questionCount} Fragen aus ${this.exam.chapters.length} Kapiteln – gib ab, bevor die Zeit abgelaufen ist`;
+            const solvedLabel = this.statSolvedEl.previousElementSibling;
+            if (solvedLabel) solvedLabel.textContent = "Beantwortet";
+
+            this.submitBtn = document.createElement("button");
+            this.submitBtn.className = "btn";
+            this.submitBtn.type = "button";
+            this.submitBtn.innerHTML = `<span>✎</span> Prüfung abgeben`;
+            this.submitBtn.addEventListener("click", () => this.submitExam(false));
+            document.querySelector(".toolbar").appendChild(this.submitBtn);
+
+            this.examResultEl = document.createElement("div");
+            this.examResultEl.className = "exam-result";
+            this.examResultEl.hidden = true;
+            this.puzzleContainer.parentNode.insertBefore(this.examResultEl, this.puzzleContainer);
+        }
+
+        countAnswered() {
+            return this.puzzleContainer.querySelectorAll(".quiz-question input:checked").length;
+        }
+
+        resetExam() {
+            this.puzzleContainer.querySelectorAll(".quiz-question").forEach(qEl => {
+                qEl.classList.remove("correct", "wrong");
+                qEl.querySelectorAll("input").forEach(i => { i.disabled = false; });
+                qEl.querySelectorAll("li").forEach(li => li.classList.remove("quiz-option--solution"));
+            });
+            this.submitBtn.disabled = false;
+            this.examResultEl.hidden = true;
+            this.examResultEl.innerHTML = "";
             this.updateSolvedStatus();
         }
 
+        /**
+         * Bewertet alle Kapitel, markiert richtige/falsche Antworten und zeigt
+         * die Auswertung. timeUp = automatisch abgegeben (Zeit abgelaufen).
+         */
+        submitExam(timeUp) {
+            if (this.gameLocked) return;
+            this.gameLocked = true;
+            if (this.timerId) { clearInterval(this.timerId); this.timerId = null; }
+
+            const chapters = this.exam.chapters.map(ch => {
+                const section = this.sectionData[ch.sectionId];
+                const sectionEl = document.getElementById(`section-${ch.sectionId}`);
+                const questions = (section && section.questions) || [];
+                let correct = 0;
+
+                questions.forEach(q => {
+                    const qEl = sectionEl && sectionEl.querySelector(`.quiz-question[data-quiz-id="${q.id}"]`);
+                    if (!qEl) return;
+                    const selected = qEl.querySelector("input:checked");
+                    const isCorrect = !!selected && selected.value === q.correct;
+                    if (isCorrect) correct++;
+                    qEl.classList.add(isCorrect ? "correct" : "wrong");
+                    const solution = [...qEl.querySelectorAll("input")].find(i => i.value === q.correct);
+                    if (solution) solution.closest("li").classList.add("quiz-option--solution");
+                });
+
+                const statusEl = document.getElementById(`status-${ch.sectionId}`);
+                if (statusEl) {
+                    statusEl.textContent = `${correct} / ${questions.length}`;
+                    statusEl.className = "section-status " + (correct === questions.length ? "section-status--done" : "section-status--fail");
+                }
+                return { title: ch.title, correct, total: questions.length };
+            });
+
+            this.puzzleContainer.querySelectorAll("input").forEach(i => { i.disabled = true; });
+            this.submitBtn.disabled = true;
+
+            const result = window.ExamSimulation.grade(chapters);
+            this.reportResult({ score: result.correct, maxScore: result.total, completed: result.passed });
+            this.clearSession();
+            this.renderExamResult(result, timeUp);
+        }
+
+        renderExamResult(result, timeUp) {
+            const esc = (str) => this._escapeHtml(String(str));
+            const rows = result.chapters.map(ch => `
+                <tr>
+                    <td>${esc(ch.title)}</td>
+                    <td class="num">${ch.correct} / ${ch.total}</td>
+                    <td class="num">${ch.points}</td>
+                    <td>${esc(ch.label)}</td>
+                </tr>
+            `).join("");
+
+            this.examResultEl.innerHTML = `
+                <div class="exam-result-head ${result.passed ? "exam-result-head--passed" : "exam-result-head--failed"}">
+                    <div class="exam-result-points">${result.points} Punkte</div>
+                    <div>Note ${result.note} (${esc(result.label)}) – ${result.passed ? "bestanden" : "nicht bestanden"}</div>
+                    <div class="section-sub">${result.correct} von ${result.total} Fragen richtig${timeUp ? " · Zeit abgelaufen, automatisch abgegeben" : ""}</div>
+                </div>
+                <table class="capital-table exam-result-table">
+                    <thead>
+                        <tr><th>Kapitel</th><th class="num">Richtig</th><th class="num">Punkte</th><th>Bewertung</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+            this.examResultEl.hidden = false;
+            this.examResultEl.scrollIntoView({ behavior: "smooth", block: "start" });
+        }
+
+        // --- Leitner (Spaced Repetition) ---
+
+        itemKey(section, itemId) {
+            return `${section.id}/${itemId}`;
+        }
+
+        sectionItemIds(section) {
+            let ids = [];
+            if (section.type === "sort") ids = (section.sortCards || []).map(c => c.id);
+            else if (section.type === "quiz") ids = (section.questions || []).map(q => q.id);
+            else if (section.type === "capital") ids = (section.rows || []).map(r => r.key);
+            return ids.map(id => this.itemKey(section, id));
+        }
+
+        /**
+         * Verbucht nur den ersten Prüfversuch je Item und Runde,
+         * sonst würde mehrfaches "Prüfen" die Box hochtreiben.
+         */
+        recordOnce(section, itemId, correct) {
+            const key = this.itemKey(section, itemId);
+            if (this.recordedItems.has(key)) return;
+            this.recordedItems.add(key);
+            this.recordItemResult(key, correct);
+        }
+
         // --- Specific Checks ---
 
         checkSort(section) {
@@ -408,12 +687,14 @@
                 }
 
                 const zoneName = parentZone.dataset.zone;
-                if (zoneName === card.correctZone) {
+                const isCorrect = zoneName === card.correctZone;
+                if (isCorrect) {
                     el.classList.add("correct");
                 } else {
                     el.classList.add("wrong");
                     allCorrect = false;
                 }
+                this.recordOnce(section, card.id, isCorrect);
             });
 
             return allCorrect;
@@ -429,6 +710,7 @@
                 if (userVal !== q.correct) {
                     allCorrect = false;
                 }
+                if (userVal !== null) this.recordOnce(section, q.id, userVal === q.correct);
             });
 
             const fb = document.getElementById(`feedback-${section.id}`);
@@ -456,6 +738,7 @@
                     sel.classList.add("wrong");
                     allCorrect = false;
                 }
+                if (sel.value !== "") this.recordOnce(section, row.key, sel.value === row.correct);
             });
             return allCorrect;
         }
@@ -536,6 +819,7 @@
 
             cardEl.classList.remove("correct", "wrong");
             zone.appendChild(cardEl);
+            this.saveSession();
         }
     }
 
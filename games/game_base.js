@@ -38,13 +38,14 @@
  * 1. GameBase.init() wird aufgerufen
  * 2. URL-Parameter werden gelesen (fileId)
  * 3. Payload wird aus sessionStorage geladen (oder von Drive)
- * 4. Payload wird validiert (game_type prüfen)
+ * 4. Payload wird validiert (game_type + Schema des Typ-Moduls, games/types/)
  * 5. onDataLoaded() der Subklasse wird mit validen Daten aufgerufen
  * 
  * ERWARTETE URL-PARAMETER:
  * ------------------------
  * - fileId: Die Google Drive File-ID des JSON-Payloads (PFLICHT)
  * - game_type: Optional, für zusätzliche Validierung
+ * - seed: Optional, Zufalls-Seed für eine reproduzierbare Reihenfolge
  * 
  * BEISPIEL:
  * ---------
@@ -57,6 +58,7 @@
  *     "game_type": "escape_game",  // Identifiziert den Spieltyp
  *     "title": "Mein Spiel",       // Optional: Titel für den Browser-Tab
  *     "schema_version": "1.0",     // Optional: Schema-Version
+ *     "shuffle": false,            // Optional: feste Reihenfolge (z. B. Story-Escape-Rooms)
  *     ... // Weitere spiel-spezifische Daten
  * }
  * 
@@ -68,24 +70,80 @@
  * 
  * Falls sessionStorage leer ist, lädt GameBase direkt von Drive nach.
  * 
+ * SPIELSTAND (SPEICHERN & FORTSETZEN):
+ * ------------------------------------
+ * Spiele können ihren Zwischenstand sichern, damit Reload oder Dateiwechsel
+ * die Runde nicht zerstören. Dazu implementiert die Subklasse:
+ * - getSaveState()         → serialisierbarer Zustand oder null (nichts speichern)
+ * - restoreSaveState(state) → Zustand nach onDataLoaded() wiederherstellen
+ * GameBase speichert zusätzlich das bereits gemischte Payload, damit die
+ * Reihenfolge beim Fortsetzen identisch bleibt:
+ * - Key: 'paukerSession_v1:' + fileId (localStorage)
+ * - Gespeichert wird bei pagehide/visibilitychange und bei this.saveSession()
+ * - Ändert sich die JSON-Datei, wird der alte Spielstand verworfen
+ * 
+ * ZUFALL (SEED):
+ * --------------
+ * Alles Mischen läuft über eine Zufallsquelle pro Spiel (this.random, aus
+ * GameRegistry.createRandom). Gleicher Seed aus der URL + gleiche Datei =
+ * gleiche Reihenfolge, z. B. um einer ganzen Klasse dieselbe Prüfung zu geben.
+ * - Seed aus ?seed=..., sonst aus dem Spielstand, sonst neu ausgewürfelt
+ * - Mit ?seed=... ordnen sortByDue()/pickDue() nicht nach den Leitner-Boxen
+ *   (die je Lernendem verschieden sind), pickDue() zieht nur über this.random.
+ *   Ohne URL-Seed kommen fällige Items zuerst, die Reihenfolge hängt dann
+ *   auch vom eigenen Lernstand ab
+ * - Angezeigt wird er im Spiel (ohne App) bzw. von der App (Event 'ready')
+ * - "shuffle": false im JSON schaltet das Mischen ab: Payload, shuffleArray()
+ *   und sortByDue() lassen die Reihenfolge aus der Datei unverändert
+ * 
  * THEME-SYSTEM:
  * -------------
  * GameBase verwaltet automatisch das Dark/Light Theme:
  * - Liest Theme aus localStorage ('globalTheme_v1')
  * - Setzt die Klasse 'theme-light' am <html>-Element
  * - Bindet einen Theme-Toggle-Button (ID: 'theme-toggle')
+ * - Übernimmt das Theme der App über den Befehl 'setTheme'
+ *
+ * APP-BRIDGE (../game_bridge.js):
+ * -------------------------------
+ * Läuft das Spiel in einem iframe, meldet GameBase der App per postMessage
+ * ready, started, progress, itemAnswered, completed, paused und fatal und
+ * nimmt die Befehle setTheme, pause, resume und restart entgegen.
+ * - Pausieren legt eine Sperre über das Spiel und ruft onPause()/onResume()
+ *   (Timer anhalten); Neustart ruft onRestart() (Standard: Seite neu laden)
+ * - Teilt das Spiel den Speicher nicht mit der App (anderer Origin, sandbox),
+ *   speichert die App die gemeldeten Ergebnisse selbst
  * 
  * FEHLERBEHANDLUNG:
  * -----------------
- * Bei kritischen Fehlern zeigt GameBase eine formatierte Fehlermeldung an
- * und verhindert das Laden des Spiels. Fehler werden in die Console geloggt.
+ * Bei kritischen Fehlern zeigt GameBase die Fehlerseite aus game_errors.js
+ * (Fehlercode, Details wie Schema-Pfad oder Zeile/Spalte, Aktionen "Erneut
+ * versuchen", "Rohdaten öffnen", "Zurück") und verhindert das Laden des
+ * Spiels. Derselbe Fehler geht als 'fatal' an die App. game_errors.js muss
+ * vor game_base.js geladen sein.
  * 
  * ENTWICKLER-HINWEISE:
  * --------------------
  * - Überschreibe IMMER onDataLoaded() in deiner Subklasse
  * - Nutze this.payload für Zugriff auf die Spiel-Daten
  * - Nutze this.fileId für die Drive File-ID
- * - Nutze this._fatal(msg) für kritische Fehler
+ * - Nutze this._fatal(GameErrors.create(code, details)) für kritische Fehler
+ *   (ein Text wird zu 'init_failed')
+ * - Neue Spieltypen brauchen ein Typ-Modul in games/types/ (Schema, Mischregeln,
+ *   siehe game_registry.js); game_schemas.js, game_registry.js und das Modul
+ *   vor game_base.js einbinden. Payloads, die nicht passen, erreichen
+ *   onDataLoaded() nicht
+ * - Melde Item-Ergebnisse mit this.recordItemResult(itemId, correct) und
+ *   bevorzuge fällige Items mit this.sortByDue() / this.pickDue()
+ *   (Leitner-Boxen, ../leitner_store.js muss vor game_base.js geladen sein)
+ * - Melde Rundenergebnisse mit this.reportResult({ score, maxScore, completed })
+ *   und rufe this.startRun() bei jedem Neustart auf (../progress_store.js)
+ * - Rufe this.saveSession() nach wichtigen Spielzügen auf; liefert
+ *   getSaveState() null (z. B. Runde beendet), wird der Spielstand gelöscht
+ * - Mische nur mit this.shuffleArray(arr) bzw. this.random(), nie mit
+ *   Math.random – sonst lässt sich die Reihenfolge nicht über den Seed nachstellen
+ * - Spiele mit Timer überschreiben onPause()/onResume() und prüfen this.paused;
+ *   Spiele mit eigenem Neustart überschreiben onRestart()
  * 
  * ============================================================================
  */
@@ -99,6 +157,8 @@
     const DRIVE_FILES_ENDPOINT = 'https://www.googleapis.com/drive/v3/files';
     const THEME_KEY = 'globalTheme_v1';
     const JSON_SESSION_PREFIX = 'game_payload_';
+    const SAVE_STATE_PREFIX = 'paukerSession_v1:';
+    const SAVE_STATE_VERSION = 1;
 
     class GameBase {
         /**
@@ -116,6 +176,21 @@
             this.fileId = null;
             this.gameTypeFromQuery = null;
             this.payload = null;
+            this.runId = null;
+            this.payloadFingerprint = null;
+            this.savedSession = null;   // gelesener Spielstand (vor dem Fortsetzen)
+            this.resumed = false;       // wurde ein Spielstand fortgesetzt?
+            this.ready = false;         // onDataLoaded() erfolgreich durchgelaufen
+            this.paused = false;
+            this.completedRunId = null; // 'completed' nur einmal pro Versuch melden
+            this.sharedStorage = false; // gleiche Stores wie die App?
+            this.seed = null;           // Zufalls-Seed dieses Spiels
+            this.seedFromUrl = false;
+            this.shuffleEnabled = true; // false bei "shuffle": false im JSON
+            this.random = Math.random;  // wird in init() durch die geseedete Quelle ersetzt
+
+            this.pauseEl = null;
+            this.seedEl = null;
 
             this.rootEl = null;
             this.themeToggleBtn = null;
@@ -131,27 +206,28 @@
 
             this._initTheme();
             this._wireThemeToggle();
+            this._wireBridge();
 
             const params = new URLSearchParams(window.location.search);
+            // Die Datei steht immer in der URL (kein gemeinsamer sessionStorage-Key,
+            // sonst überschreiben sich Spiele in mehreren Tabs gegenseitig)
             this.fileId = params.get('fileId') || params.get('id');
 
-            // Fallback auf globale Session-ID (vom game_loader.html)
-            if (!this.fileId) {
-                this.fileId = sessionStorage.getItem('game_payload_id');
-            }
-
             this.gameTypeFromQuery = params.get('game_type');
 
             if (!this.fileId) {
-                this._fatal('In der URL fehlt der Parameter "fileId" und es wurde keine Session-ID gefunden.');
+                this._fatal(window.GameErrors.create('payload_missing', { fileId: null }));
                 return;
             }
 
+            this.savedSession = this._readSession();
+            this._initRandom(params.get('seed'));
+
             try {
                 this.payload = await this._loadPayload();
             } catch (err) {
                 console.error(err);
-                this._fatal('Die Spieldaten konnten nicht geladen werden:\n' + String(err && err.message ? err.message : err));
+                this._fatal(window.GameErrors.from(err, 'payload_load'));
                 return;
             }
 
@@ -170,8 +246,23 @@
                 this.onDataLoaded(this.payload);
             } catch (err) {
                 console.error(err);
-                this._fatal('Fehler beim Initialisieren des Spiels:\n' + String(err && err.message ? err.message : err));
+                this._fatal(window.GameErrors.from(err, 'init_failed'));
+                return;
             }
+
+            this._restoreSession();
+            this._wireSessionSaving();
+
+            this.ready = true;
+            this._showSeed();
+            this._emit('ready', {
+                gameType: this.payload.game_type || this.payload.gameType,
+                title: this.payload.title || null,
+                resumed: this.resumed,
+                sharedStorage: this.sharedStorage,
+                seed: this.seed,
+                shuffled: this.shuffleEnabled
+            });
         }
 
         /**
@@ -180,7 +271,7 @@
          */
         // eslint-disable-next-line no-unused-vars
         onDataLoaded(data) {
-            this._fatal('onDataLoaded(data) ist in der Subklasse nicht implementiert.');
+            this._fatal(window.GameErrors.create('init_failed', { reason: 'onDataLoaded(data) ist in der Subklasse nicht implementiert.' }));
         }
 
         // ================================================================
@@ -238,7 +329,7 @@
                 if (raw) {
                     const parsed = JSON.parse(raw);
                     if (parsed && typeof parsed === 'object') {
-                        return this._randomizePayload(parsed);
+                        return this._preparePayload(parsed);
                     }
                 }
             } catch (e) {
@@ -250,145 +341,472 @@
             const fetchUrl = this.fileId.startsWith('http') ? this.fileId : '../' + this.fileId;
             const res = await fetch(fetchUrl);
             if (!res.ok) {
-                throw new Error(`Fehler beim Laden (${res.status}) von ${fetchUrl}: ${res.statusText}`);
+                throw window.GameErrors.create(res.status === 404 ? 'payload_missing' : 'payload_load',
+                    { fileId: this.fileId, status: res.status, reason: res.statusText });
             }
 
-            const data = await res.json();
-            const randomized = this._randomizePayload(data);
+            // Als Text lesen, damit Syntaxfehler mit Zeile/Spalte gemeldet werden
+            const data = window.GameErrors.parseJson(await res.text());
+            // Ungemischt puffern, damit der Fingerabdruck stabil bleibt
             try {
-                sessionStorage.setItem(storageKey, JSON.stringify(randomized));
+                sessionStorage.setItem(storageKey, JSON.stringify(data));
             } catch (e) {
                 console.warn('Konnte Payload nicht im sessionStorage speichern:', e);
             }
 
-            return randomized;
+            return this._preparePayload(data);
+        }
+
+        /**
+         * Übernimmt das gemischte Payload eines gespeicherten Spielstands,
+         * solange die Quelldatei unverändert ist; sonst frisch mischen.
+         */
+        _preparePayload(data) {
+            this.payloadFingerprint = this._fingerprint(data);
+            this.shuffleEnabled = data.shuffle !== false;
+
+            const saved = this.savedSession;
+            const sameSeed = saved && (!this.seedFromUrl || saved.seed === this.seed);
+            if (saved && saved.fingerprint === this.payloadFingerprint && saved.payload && sameSeed) {
+                return saved.payload;
+            }
+            if (saved) {
+                console.info(sameSeed
+                    ? 'Spielstand verworfen: die Spieldaten haben sich geändert.'
+                    : 'Spielstand verworfen: die URL gibt einen anderen Seed vor.');
+                this.savedSession = null;
+                this.clearSession();
+            }
+            return this._randomizePayload(data);
+        }
+
+        _fingerprint(data) {
+            const str = JSON.stringify(data);
+            let hash = 5381;
+            for (let i = 0; i < str.length; i++) {
+                hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+            }
+            return str.length.toString(36) + '-' + (hash >>> 0).toString(36);
         }
 
         /**
-         * Shuffles specific arrays in the payload to ensure variety.
+         * Mischt das Payload nach den Regeln seines Spieltyps
+         * (shuffle() im Typ-Modul, siehe game_registry.js).
          */
         _randomizePayload(data) {
-            if (!data || typeof data !== 'object') return data;
-
-            const shuffle = (arr) => {
-                if (!Array.isArray(arr)) return arr;
-                const copy = [...arr];
-                for (let i = copy.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [copy[i], copy[j]] = [copy[j], copy[i]];
-                }
-                return copy;
-            };
+            if (!this.shuffleEnabled) return data;
+            return window.GameRegistry.shufflePayload(data, this.random);
+        }
 
-            // Deep clone to avoid mutating original source if cached
-            const result = JSON.parse(JSON.stringify(data));
+        // ================================================================
+        // Zufall (Seed)
+        // ================================================================
 
-            // Randomize by game type
-            const type = result.game_type || result.gameType;
+        /**
+         * Seed aus der URL, sonst aus dem Spielstand, sonst neu.
+         * @param {string|null} urlSeed
+         */
+        _initRandom(urlSeed) {
+            const registry = window.GameRegistry;
+            const fromUrl = registry.normalizeSeed(urlSeed);
+            if (urlSeed && !fromUrl) console.warn(`Ungültiger Seed "${urlSeed}" in der URL – es wird ein neuer gewählt.`);
+
+            const saved = this.savedSession && registry.normalizeSeed(this.savedSession.seed);
+            this.seedFromUrl = !!fromUrl;
+            this.seed = fromUrl || saved || registry.newSeed();
+            this.random = registry.createRandom(this.seed);
+        }
 
-            if (type === 'escape_game' && Array.isArray(result.sections)) {
-                result.sections = shuffle(result.sections).map(s => {
-                    if (s.type === 'quiz' && Array.isArray(s.questions)) {
-                        s.questions = shuffle(s.questions).map(q => {
-                            if (Array.isArray(q.options)) q.options = shuffle(q.options);
-                            return q;
-                        });
-                    }
-                    if (s.type === 'sort' && Array.isArray(s.sortCards)) s.sortCards = shuffle(s.sortCards);
-                    if (s.type === 'capital' && Array.isArray(s.rows)) {
-                        s.rows = shuffle(s.rows).map(r => {
-                            if (Array.isArray(r.options)) r.options = shuffle(r.options);
-                            return r;
-                        });
-                    }
-                    return s;
-                });
-            } else if (type === 'matching_puzzle' && Array.isArray(result.sets)) {
-                result.sets = shuffle(result.sets);
-            } else if (type === 'sortier_spiel' && Array.isArray(result.cards)) {
-                result.cards = shuffle(result.cards);
-                if (Array.isArray(result.columns)) result.columns = shuffle(result.columns);
-            } else if (type === 'quick_quiz' && Array.isArray(result.questions)) {
-                result.questions = shuffle(result.questions);
-                if (Array.isArray(result.answerLabels)) result.answerLabels = shuffle(result.answerLabels);
-            } else if (type === 'wer_bin_ich') {
-                if (Array.isArray(result.legalForms)) result.legalForms = shuffle(result.legalForms);
-                if (Array.isArray(result.questions)) result.questions = shuffle(result.questions);
-            } else if (type === 'what_and_why' && Array.isArray(result.cases)) {
-                result.cases = shuffle(result.cases).map(c => {
-                    if (Array.isArray(c.options)) {
-                        c.options = shuffle(c.options).map(o => {
-                            if (Array.isArray(o.whys)) o.whys = shuffle(o.whys);
-                            return o;
-                        });
-                    }
-                    return c;
-                });
+        /**
+         * Gemischte Kopie eines Arrays (über this.random). Bei "shuffle": false
+         * im JSON bleibt die Reihenfolge erhalten.
+         * @param {Array} arr
+         * @returns {Array}
+         */
+        shuffleArray(arr) {
+            const copy = Array.isArray(arr) ? [...arr] : [];
+            if (!this.shuffleEnabled) return copy;
+            for (let i = copy.length - 1; i > 0; i--) {
+                const j = Math.floor(this.random() * (i + 1));
+                [copy[i], copy[j]] = [copy[j], copy[i]];
             }
+            return copy;
+        }
 
-            return result;
+        /**
+         * Ermittelt den Schlüssel des Item-Pools (wer_bin_ich): zuerst das
+         * deklarierte "itemsKey", sonst der erste bekannte Alias mit Array
+         * (Logik liegt in game_schemas.js, damit update_index.js sie mitnutzt).
+         * @param {Object} data
+         * @returns {string|null}
+         */
+        static findItemPoolKey(data) {
+            return window.GameSchemas.findItemPoolKey(data);
         }
 
         // ================================================================
         // Header-Validierung
         // ================================================================
         _validateHeader() {
+            const errors = window.GameErrors;
             const data = this.payload;
-            if (!data || typeof data !== 'object') {
-                this._fatal('Ungültige Spieldaten: JSON ist leer oder kein Objekt.');
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                this._fatal(errors.create('invalid_payload'));
                 return false;
             }
 
             const actualType = data.game_type || data.gameType || null;
             if (!actualType) {
-                this._fatal('Im JSON fehlt das Feld "game_type".');
+                this._fatal(errors.create('game_type_missing'));
+                return false;
+            }
+
+            if (window.GameRegistry && !window.GameRegistry.get(actualType)) {
+                this._fatal(errors.create('unknown_game_type', { gameType: actualType }));
                 return false;
             }
 
             if (this.expectedGameType && actualType !== this.expectedGameType) {
-                const msg = [
-                    'Unerwarteter game_type im JSON.',
-                    `Erwartet: "${this.expectedGameType}"`,
-                    `Gefunden: "${actualType}"`,
-                    `Geladenes HTML: ${window.location.pathname.split('/').pop()}`
-                ].join('\n');
-                this._fatal(msg);
+                this._fatal(errors.create('game_type_mismatch', {
+                    expected: this.expectedGameType,
+                    found: actualType,
+                    template: window.location.pathname.split('/').pop()
+                }));
                 return false;
             }
 
-            // Optionale Schema-Prüfung
-            if (data.schema_version && typeof data.schema_version !== 'string') {
-                console.warn('schema_version ist vorhanden, aber kein String:', data.schema_version);
+            // Schema-Prüfung (game_schemas.js mit dem Schema aus dem Typ-Modul)
+            if (!window.GameSchemas) {
+                console.warn('game_schemas.js ist nicht geladen – Schema-Prüfung übersprungen.');
+                return true;
+            }
+            const result = window.GameSchemas.validate(data, actualType);
+            if (!result.valid) {
+                console.error('Schema-Fehler:', result.errors);
+                this._fatal(errors.create('schema', { gameType: actualType, errors: result.errors }));
+                return false;
             }
 
             return true;
         }
 
         // ================================================================
-        // Helpers
+        // Spaced Repetition (Leitner-Boxen, siehe ../leitner_store.js)
+        // ================================================================
+
+        /**
+         * Meldet das Ergebnis eines einzelnen Lern-Items an die Leitner-Boxen.
+         * @param {string} itemId - ID innerhalb des Payloads (z. B. Fall-ID)
+         * @param {boolean} correct
+         */
+        recordItemResult(itemId, correct) {
+            if (!this.fileId || itemId === null || itemId === undefined) return;
+            const recorded = !!window.LeitnerStore && this.sharedStorage;
+            if (window.LeitnerStore) window.LeitnerStore.record(this.fileId, String(itemId), !!correct);
+            this._emit('itemAnswered', { itemId: String(itemId), correct: !!correct, recorded });
+        }
+
+        /**
+         * Leitner-Reihenfolge nutzen? Nicht bei einem Seed aus der URL: dort soll
+         * die Reihenfolge für alle gleich sein, unabhängig vom eigenen Lernstand.
+         */
+        _useLeitner() {
+            return !!window.LeitnerStore && !!this.fileId && !this.seedFromUrl;
+        }
+
+        /**
+         * Sortiert Items so, dass fällige zuerst kommen (stabile Kopie).
+         * @param {Array} items
+         * @param {Function} getId - item => ID (oder Array von IDs)
+         */
+        sortByDue(items, getId) {
+            if (!this._useLeitner() || !this.shuffleEnabled) return items;
+            return window.LeitnerStore.sortByDue(this.fileId, items, getId);
+        }
+
+        /**
+         * Zieht das nächste Item aus der Fälligkeits-Warteschlange
+         * (mit Seed aus der URL: zufällig über alle Items, nur über this.random).
+         * @param {Array} items
+         * @param {Function} getId
+         * @param {*} [exclude] - Item, das nicht direkt wiederholt werden soll
+         */
+        pickDue(items, getId, exclude) {
+            if (!Array.isArray(items) || items.length === 0) return null;
+            if (!this._useLeitner()) {
+                const pool = items.length > 1 && exclude !== undefined ? items.filter(item => item !== exclude) : items;
+                return pool[Math.floor(this.random() * pool.length)];
+            }
+            return window.LeitnerStore.pickDue(this.fileId, items, getId, { exclude, random: this.random });
+        }
+
         // ================================================================
-        _fatal(message) {
-            console.error('[GameBase FATAL]', message);
-            if (!this.rootEl) return;
-            this.rootEl.innerHTML = `
-        <div style="
-          max-width: 720px;
-          margin: 2rem auto;
-          padding: 1.2rem 1.4rem;
-          border-radius: 0.8rem;
-          border: 1px solid rgba(248, 113, 113, 0.6);
-          background: rgba(30, 64, 175, 0.1);
-          color: #fecaca;
-          font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-          white-space: pre-wrap;
-          font-size: 0.9rem;
-        ">
-          <h2 style="margin-top:0;margin-bottom:0.5rem;font-size:1.05rem;color:#fecaca;">
-            Spiel konnte nicht gestartet werden
-          </h2>
-          <p style="margin:0;">${this._escapeHtml(String(message))}</p>
-        </div>
+        // Lernfortschritt (Rundenergebnisse, siehe ../progress_store.js)
+        // ================================================================
+
+        /**
+         * Beginnt einen neuen Versuch. Alle folgenden reportResult()-Aufrufe
+         * zählen bis zum nächsten startRun() als derselbe Versuch.
+         */
+        startRun() {
+            this.runId = window.ProgressStore ? window.ProgressStore.newRunId() : String(Date.now());
+            this._emit('started', { runId: this.runId });
+        }
+
+        /**
+         * Meldet den aktuellen Stand der Runde (darf mehrfach aufgerufen werden).
+         * @param {Object} result
+         * @param {number} result.score
+         * @param {number} result.maxScore
+         * @param {boolean} [result.completed] - Runde vollständig geschafft?
+         */
+        reportResult(result) {
+            if (!this.fileId) return;
+            if (!this.runId) this.startRun();
+            const recorded = !!window.ProgressStore && this.sharedStorage;
+            if (window.ProgressStore) window.ProgressStore.recordResult(this.fileId, result, this.runId);
+
+            const data = {
+                runId: this.runId,
+                score: Number(result && result.score) || 0,
+                maxScore: Number(result && result.maxScore) || 0,
+                completed: !!(result && result.completed),
+                recorded
+            };
+            this._emit('progress', data);
+            if (data.completed && this.completedRunId !== this.runId) {
+                this.completedRunId = this.runId;
+                this._emit('completed', { runId: data.runId, score: data.score, maxScore: data.maxScore, recorded });
+            }
+        }
+
+        // ================================================================
+        // Spielstand speichern & fortsetzen
+        // ================================================================
+
+        /**
+         * Kann von der Subklasse überschrieben werden.
+         * @returns {Object|null} serialisierbarer Zustand; null = nichts speichern
+         */
+        getSaveState() {
+            return null;
+        }
+
+        /**
+         * Kann von der Subklasse überschrieben werden.
+         * Wird nach onDataLoaded() mit dem gespeicherten Zustand aufgerufen.
+         * @param {Object} state
+         */
+        // eslint-disable-next-line no-unused-vars
+        restoreSaveState(state) { }
+
+        saveSession() {
+            if (!this.fileId || !this.payload) return;
+
+            let state = null;
+            try {
+                state = this.getSaveState();
+            } catch (e) {
+                console.warn('Spielstand konnte nicht ermittelt werden:', e);
+                return;
+            }
+
+            if (state === null || state === undefined) {
+                this.clearSession();
+                return;
+            }
+
+            try {
+                localStorage.setItem(SAVE_STATE_PREFIX + this.fileId, JSON.stringify({
+                    version: SAVE_STATE_VERSION,
+                    savedAt: Date.now(),
+                    fingerprint: this.payloadFingerprint,
+                    seed: this.seed,
+                    runId: this.runId,
+                    payload: this.payload,
+                    state
+                }));
+            } catch (e) {
+                console.warn('Spielstand konnte nicht gespeichert werden:', e);
+            }
+        }
+
+        clearSession() {
+            if (!this.fileId) return;
+            try {
+                localStorage.removeItem(SAVE_STATE_PREFIX + this.fileId);
+            } catch (_) { }
+        }
+
+        _readSession() {
+            try {
+                const raw = localStorage.getItem(SAVE_STATE_PREFIX + this.fileId);
+                const parsed = raw ? JSON.parse(raw) : null;
+                if (parsed && parsed.version === SAVE_STATE_VERSION && parsed.state) return parsed;
+            } catch (_) { }
+            return null;
+        }
+
+        _restoreSession() {
+            const saved = this.savedSession;
+            this.savedSession = null;
+            if (!saved) return;
+
+            try {
+                this.restoreSaveState(saved.state);
+                if (saved.runId) this.runId = saved.runId;
+                this.resumed = true;
+            } catch (e) {
+                console.warn('Spielstand konnte nicht fortgesetzt werden, starte neu:', e);
+                this.clearSession();
+            }
+        }
+
+        _wireSessionSaving() {
+            window.addEventListener('pagehide', () => this.saveSession());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.saveSession();
+            });
+        }
+
+        // ================================================================
+        // App-Bridge (Nachrichten an die App, siehe ../game_bridge.js)
+        // ================================================================
+
+        /**
+         * Kann von der Subklasse überschrieben werden (z. B. Timer anhalten).
+         */
+        onPause() { }
+
+        onResume() { }
+
+        /**
+         * Kann von der Subklasse überschrieben werden. Der Spielstand ist
+         * beim Aufruf bereits gelöscht; Standard: Seite neu laden.
+         */
+        onRestart() {
+            window.location.reload();
+        }
+
+        _pause() {
+            if (this.paused || !this.ready) return;
+            this.paused = true;
+            this._showPauseOverlay();
+            this.onPause();
+            this.saveSession();
+            this._emit('paused', { paused: true });
+        }
+
+        _resume() {
+            if (!this.paused) return;
+            this.paused = false;
+            if (this.pauseEl) this.pauseEl.remove();
+            this.pauseEl = null;
+            this.onResume();
+            this._emit('paused', { paused: false });
+        }
+
+        _restart() {
+            if (this.paused) this._resume();
+            this.clearSession();
+            // Ohne fertig geladenes Spiel (z. B. nach einem Fehler) hilft nur Neuladen
+            if (this.ready) this.onRestart();
+            else window.location.reload();
+        }
+
+        _wireBridge() {
+            if (window.parent === window || !window.GameBridge) return;
+            this.sharedStorage = this._sharesAppStorage();
+
+            window.GameBridge.listen(() => window.parent, (msg) => {
+                if (msg.type === 'setTheme' && (msg.data.theme === 'light' || msg.data.theme === 'dark')) {
+                    this._applyTheme(msg.data.theme);
+                } else if (msg.type === 'pause') {
+                    this._pause();
+                } else if (msg.type === 'resume') {
+                    this._resume();
+                } else if (msg.type === 'restart') {
+                    this._restart();
+                }
+            });
+        }
+
+        /**
+         * Schreiben App und Spiel in denselben localStorage? Nur bei gleichem
+         * Origin – im sandbox-iframe oder von fremdem Host wirft der Zugriff.
+         */
+        _sharesAppStorage() {
+            try {
+                return window.parent.location.origin === window.location.origin && !!window.localStorage;
+            } catch (_) {
+                return false;
+            }
+        }
+
+        _emit(type, data) {
+            if (window.parent === window || !window.GameBridge) return;
+            window.GameBridge.post(window.parent, type, this.fileId, data);
+        }
+
+        _showPauseOverlay() {
+            this.pauseEl = document.createElement('div');
+            this.pauseEl.setAttribute('role', 'dialog');
+            this.pauseEl.setAttribute('aria-label', 'Pausiert');
+            this.pauseEl.style.cssText = [
+                'position:fixed', 'inset:0', 'z-index:10000', 'display:flex', 'flex-direction:column',
+                'align-items:center', 'justify-content:center', 'gap:1rem', 'background:rgba(0,0,0,0.65)',
+                'backdrop-filter:blur(6px)', 'color:#fff', "font-family:system-ui, -apple-system, 'Segoe UI', sans-serif"
+            ].join(';');
+            this.pauseEl.innerHTML = `
+        <div style="font-size:2rem;font-weight:700;">⏸ Pausiert</div>
+        <button type="button" style="font:inherit;padding:0.6rem 1.4rem;border-radius:999px;border:none;cursor:pointer;">
+          Weiter
+        </button>
       `;
+            const btn = this.pauseEl.querySelector('button');
+            btn.addEventListener('click', () => this._resume());
+            document.body.appendChild(this.pauseEl);
+            btn.focus();
+        }
+
+        /**
+         * Seed-Hinweis unten links – nur ohne App, im iframe zeigt ihn die App.
+         * Der Link öffnet das Spiel mit demselben Seed.
+         */
+        _showSeed() {
+            if (window.parent !== window) return;
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', this.seed);
+
+            this.seedEl = document.createElement('a');
+            this.seedEl.className = 'game-seed';
+            this.seedEl.href = url.href;
+            this.seedEl.textContent = this.shuffleEnabled ? `🎲 ${this.seed}` : '🎲 feste Reihenfolge';
+            this.seedEl.title = this.shuffleEnabled
+                ? `Seed ${this.seed}: Link mit ?seed=${this.seed} öffnet dieselbe Reihenfolge`
+                : 'Dieses Spiel wird nicht gemischt ("shuffle": false)';
+            this.seedEl.style.cssText = [
+                'position:fixed', 'left:0.6rem', 'bottom:0.5rem', 'z-index:9000', 'padding:0.15rem 0.55rem',
+                'border-radius:999px', 'background:rgba(0,0,0,0.35)', 'color:#fff', 'opacity:0.7',
+                "font:0.75rem/1.4 system-ui, -apple-system, 'Segoe UI', sans-serif", 'text-decoration:none'
+            ].join(';');
+            document.body.appendChild(this.seedEl);
+        }
+
+        // ================================================================
+        // Helpers
+        // ================================================================
+        /**
+         * Zeigt die Fehlerseite (game_errors.js) und meldet den Fehler der App.
+         * @param {Error|string} error - GameErrors.create(...) oder ein Text
+         */
+        _fatal(error) {
+            const err = typeof error === 'string'
+                ? window.GameErrors.create('init_failed', { reason: error })
+                : window.GameErrors.from(error);
+            console.error('[GameBase FATAL]', err.code, err.details);
+            this._emit('fatal', window.GameErrors.toMessage(err));
+            window.GameErrors.render(this.rootEl, err, { fileId: this.fileId });
         }
 
         _escapeHtml(str) {
@@ -399,6 +817,8 @@
         }
     }
 
+    GameBase.ITEM_POOL_ALIASES = window.GameSchemas ? window.GameSchemas.ITEM_POOL_ALIASES : [];
+
     // global verfügbar machen
     window.GameBase = GameBase;
 })();
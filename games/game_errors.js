@@ -0,0 +1,398 @@
+/**
+ * ============================================================================
+ * game_errors.js - Einheitliche Fehlermeldungen der Spiele
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Ein Weg für alle Fehler, die ein Spiel am Start hindern (GameBase und
+ * game_loader.html): Fehlercode + Details statt loser Texte, Texte aus einem
+ * Katalog pro Sprache, eine Fehlerseite im Theme der App und Aktionen, mit
+ * denen man weiterkommt. Die App (index.js) bekommt denselben Fehler über
+ * die Spiel-Bridge ('fatal') und zeigt ihn in ihrem eigenen Rahmen.
+ *
+ * FEHLERCODES:
+ * ------------
+ *   payload_missing    keine Datei angegeben bzw. Datei nicht gefunden   { fileId, status }
+ *   payload_load       Datei konnte nicht geladen werden                 { fileId, status, reason }
+ *   json_parse         kein gültiges JSON                                { line, column, excerpt, reason }
+ *   invalid_payload    JSON ist leer oder kein Objekt
+ *   game_type_missing  Feld "game_type" fehlt
+ *   unknown_game_type  kein Typ-Modul für den game_type                  { gameType }
+ *   game_type_mismatch Template passt nicht zum game_type                { expected, found, template }
+ *   schema             Payload verletzt das Schema                       { gameType, errors: [{ path, message }] }
+ *   init_failed        Fehler im Spiel selbst (onDataLoaded)            { reason }
+ *
+ * AKTIONEN:
+ * ---------
+ *   retry  Seite neu laden
+ *   raw    Rohdaten (JSON) in neuem Tab öffnen
+ *   back   zurück zum Ordner im Baum (im iframe über die Bridge: 'back')
+ *
+ * VERWENDUNG:
+ * -----------
+ *   throw GameErrors.create('payload_missing', { fileId });
+ *   const data = GameErrors.parseJson(text);          // wirft json_parse mit Zeile/Spalte
+ *   GameErrors.render(container, err, { fileId });     // Fehlerseite mit Aktionen
+ *   GameBridge.post(window.parent, 'fatal', fileId, GameErrors.toMessage(err));
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const CODES = [
+        'payload_missing', 'payload_load', 'json_parse', 'invalid_payload', 'game_type_missing',
+        'unknown_game_type', 'game_type_mismatch', 'schema', 'init_failed'
+    ];
+    const SESSION_PREFIX = 'game_payload_';
+    const MAX_DETAILS = 8;
+    const STYLE_ID = 'game-error-styles';
+
+    // Texte pro Sprache: title + message(details)
+    const MESSAGES = {
+        de: {
+            payload_missing: {
+                title: 'Spieldaten nicht gefunden',
+                message: d => d.fileId ? `Die Datei "${d.fileId}" gibt es nicht (mehr).` : 'Es wurde keine Datei angegeben.'
+            },
+            payload_load: {
+                title: 'Spieldaten konnten nicht geladen werden',
+                message: d => `Fehler beim Laden${d.status ? ` (HTTP ${d.status})` : ''}${d.reason ? `: ${d.reason}` : '.'}`
+            },
+            json_parse: {
+                title: 'Die Datei ist kein gültiges JSON',
+                message: d => d.line ? `Syntaxfehler in Zeile ${d.line}, Spalte ${d.column}.` : `Syntaxfehler: ${d.reason || 'unbekannt'}.`
+            },
+            invalid_payload: {
+                title: 'Ungültige Spieldaten',
+                message: () => 'Das JSON ist leer oder kein Objekt.'
+            },
+            game_type_missing: {
+                title: 'Spieltyp fehlt',
+                message: () => 'Im JSON fehlt das Feld "game_type".'
+            },
+            unknown_game_type: {
+                title: 'Unbekannter Spieltyp',
+                message: d => `Für den Spieltyp "${d.gameType}" gibt es kein Spiel.`
+            },
+            game_type_mismatch: {
+                title: 'Falsches Spiel für diese Datei',
+                message: d => `${d.template || 'Dieses Spiel'} erwartet "${d.expected}", die Datei ist "${d.found}".`
+            },
+            schema: {
+                title: 'Spieldaten passen nicht zum Schema',
+                message: d => `Die Datei verletzt das Schema "${d.gameType}" an ${listOf(d.errors).length} Stelle(n).`
+            },
+            init_failed: {
+                title: 'Spiel konnte nicht gestartet werden',
+                message: d => d.reason || 'Unbekannter Fehler.'
+            },
+            ui: {
+                code: 'Fehlercode',
+                more: n => `… und ${n} weitere.`,
+                retry: 'Erneut versuchen',
+                raw: 'Rohdaten (JSON) öffnen',
+                back: 'Zurück zur Übersicht'
+            }
+        },
+        en: {
+            payload_missing: {
+                title: 'Game data not found',
+                message: d => d.fileId ? `The file "${d.fileId}" does not exist.` : 'No file was specified.'
+            },
+            payload_load: {
+                title: 'Game data could not be loaded',
+                message: d => `Loading failed${d.status ? ` (HTTP ${d.status})` : ''}${d.reason ? `: ${d.reason}` : '.'}`
+            },
+            json_parse: {
+                title: 'The file is not valid JSON',
+                message: d => d.line ? `Syntax error in line ${d.line}, column ${d.column}.` : `Syntax error: ${d.reason || 'unknown'}.`
+            },
+            invalid_payload: {
+                title: 'Invalid game data',
+                message: () => 'The JSON is empty or not an object.'
+            },
+            game_type_missing: {
+                title: 'Game type missing',
+                message: () => 'The JSON has no "game_type" field.'
+            },
+            unknown_game_type: {
+                title: 'Unknown game type',
+                message: d => `There is no game for the game type "${d.gameType}".`
+            },
+            game_type_mismatch: {
+                title: 'Wrong game for this file',
+                message: d => `${d.template || 'This game'} expects "${d.expected}", the file is "${d.found}".`
+            },
+            schema: {
+                title: 'Game data does not match the schema',
+                message: d => `The file violates the schema "${d.gameType}" in ${listOf(d.errors).length} place(s).`
+            },
+            init_failed: {
+                title: 'The game could not be started',
+                message: d => d.reason || 'Unknown error.'
+            },
+            ui: {
+                code: 'Error code',
+                more: n => `… and ${n} more.`,
+                retry: 'Try again',
+                raw: 'Open raw data (JSON)',
+                back: 'Back to overview'
+            }
+        }
+    };
+
+    function listOf(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    /**
+     * Fehler mit Code und Details (wird geworfen und gerendert).
+     */
+    class GameError extends Error {
+        constructor(code, details) {
+            const safeCode = CODES.includes(code) ? code : 'init_failed';
+            super(`${safeCode}: ${JSON.stringify(details || {})}`);
+            this.name = 'GameError';
+            this.code = safeCode;
+            this.details = details || {};
+        }
+    }
+
+    function create(code, details) {
+        return new GameError(code, details);
+    }
+
+    /**
+     * Macht aus beliebigen Ausnahmen einen GameError (fremde Fehler → fallbackCode).
+     */
+    function from(err, fallbackCode = 'init_failed') {
+        if (err instanceof GameError) return err;
+        return create(fallbackCode, { reason: String(err && err.message ? err.message : err) });
+    }
+
+    function language() {
+        const lang = String(document.documentElement.lang || navigator.language || 'de').slice(0, 2).toLowerCase();
+        return MESSAGES[lang] ? lang : 'de';
+    }
+
+    /**
+     * Zeile/Spalte (1-basiert) zu einem Zeichen-Offset.
+     */
+    function lineColumnAt(text, position) {
+        const before = text.slice(0, position);
+        const line = before.split('\n').length;
+        return { line, column: position - before.lastIndexOf('\n') };
+    }
+
+    /**
+     * JSON.parse mit Fehlerort: wirft json_parse mit Zeile, Spalte und der
+     * betroffenen Zeile. Die Browser melden den Ort unterschiedlich
+     * ("at position 42", "(line 3 column 5)", "at line 3 column 5").
+     */
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            const reason = String(err && err.message ? err.message : err);
+            let place = null;
+            const lineMatch = reason.match(/line (\d+) column (\d+)/i);
+            const posMatch = reason.match(/position (\d+)/i);
+            if (lineMatch) place = { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+            else if (posMatch) place = lineColumnAt(text, Number(posMatch[1]));
+            else if (/unexpected end/i.test(reason)) place = lineColumnAt(text, text.length);
+
+            const details = { reason };
+            if (place) {
+                details.line = place.line;
+                details.column = place.column;
+                details.excerpt = String(text.split('\n')[place.line - 1] || '').slice(0, 200);
+            }
+            throw create('json_parse', details);
+        }
+    }
+
+    /**
+     * Lesbare Form eines Fehlers in der aktuellen Sprache.
+     * @returns {{code, title, message, details: string[], excerpt: string|null}}
+     */
+    function describe(err) {
+        const error = from(err);
+        const texts = MESSAGES[language()];
+        const entry = texts[error.code];
+        const d = error.details;
+
+        let details = [];
+        if (error.code === 'schema') {
+            const errors = listOf(d.errors);
+            details = errors.slice(0, MAX_DETAILS).map(e => `${e.path}: ${e.message}`);
+            if (errors.length > MAX_DETAILS) details.push(texts.ui.more(errors.length - MAX_DETAILS));
+        } else if (error.code === 'json_parse' && d.line && d.reason) {
+            details = [d.reason];
+        }
+
+        let excerpt = null;
+        if (error.code === 'json_parse' && typeof d.excerpt === 'string') {
+            const caret = ' '.repeat(Math.max(0, Math.min(d.column - 1, d.excerpt.length))) + '^';
+            excerpt = `${d.line} | ${d.excerpt}\n${' '.repeat(String(d.line).length)} | ${caret}`;
+        }
+
+        return { code: error.code, title: entry.title, message: entry.message(d), details, excerpt };
+    }
+
+    /**
+     * Daten für das Bridge-Ereignis 'fatal' (message bleibt für ältere Empfänger).
+     */
+    function toMessage(err) {
+        const info = describe(err);
+        return { code: info.code, title: info.title, message: info.message, details: info.details, excerpt: info.excerpt };
+    }
+
+    // Zuletzt erzeugte Blob-URL (höchstens eine lebt, siehe rawUrl)
+    let blobUrl = null;
+
+    /**
+     * URL der Rohdaten: Dateien aus database/ direkt, sonst (z. B. Prüfungen)
+     * der Inhalt aus dem sessionStorage als Blob. null = nichts zu zeigen.
+     * Eine vorherige Blob-URL wird dabei freigegeben.
+     */
+    function rawUrl(fileId) {
+        if (blobUrl) URL.revokeObjectURL(blobUrl);
+        blobUrl = null;
+        if (!fileId) return null;
+        if (/^https?:/.test(fileId)) return fileId;
+        if (fileId.startsWith('database/')) return '../' + fileId;
+        try {
+            const raw = sessionStorage.getItem(SESSION_PREFIX + fileId);
+            if (raw) blobUrl = URL.createObjectURL(new Blob([raw], { type: 'application/json' }));
+        } catch (_) { }
+        return blobUrl;
+    }
+
+    /**
+     * Ordner, in dem die Datei liegt (Prüfungen: "exam:<Ordner>").
+     */
+    function folderOf(fileId) {
+        const id = String(fileId || '');
+        if (id.startsWith('exam:')) return id.slice(5);
+        return id.includes('/') ? id.slice(0, id.lastIndexOf('/')) : '';
+    }
+
+    function goBack(fileId) {
+        if (window.parent !== window && window.GameBridge) {
+            window.GameBridge.post(window.parent, 'back', fileId || null, {});
+            return;
+        }
+        const folder = folderOf(fileId);
+        window.location.href = '../index.html' + (folder ? '#id=' + encodeURIComponent(folder) : '');
+    }
+
+    function ensureStyles() {
+        if (document.getElementById(STYLE_ID)) return;
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        // Farben aus ../shared_theme.css, mit Fallbacks, falls das Theme fehlt
+        style.textContent = `
+.game-error {
+    max-width: 720px;
+    margin: 2rem auto;
+    padding: 1.25rem 1.5rem;
+    border-radius: var(--radius-md, 0.75rem);
+    border: 1px solid hsl(var(--error, 0 90% 65%) / 0.6);
+    background: hsl(var(--bg-surface, 230 30% 15%) / 0.85);
+    color: hsl(var(--txt, 210 50% 98%));
+    font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    font-size: 0.9rem;
+    text-align: left;
+}
+.game-error h2 { margin: 0 0 0.5rem; font-size: 1.1rem; color: hsl(var(--error, 0 90% 65%)); }
+.game-error p { margin: 0 0 0.75rem; }
+.game-error ul { margin: 0 0 0.75rem; padding-left: 1.2rem; }
+.game-error li { margin: 0.15rem 0; word-break: break-word; }
+.game-error pre {
+    margin: 0 0 0.75rem;
+    padding: 0.6rem 0.8rem;
+    overflow-x: auto;
+    border-radius: var(--radius-sm, 0.5rem);
+    background: hsl(var(--bg, 230 30% 6%) / 0.6);
+    font-size: 0.8rem;
+}
+.game-error-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 1rem; }
+.game-error-code { margin-top: 0.75rem; font-size: 0.75rem; color: hsl(var(--txt-muted, 215 30% 75%)); }
+`;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Zeigt die Fehlerseite im Container (ersetzt dessen Inhalt).
+     * @param {HTMLElement} container
+     * @param {Error} err
+     * @param {Object} [options]
+     * @param {string} [options.fileId] - für "Rohdaten" und "Zurück"
+     */
+    function render(container, err, options = {}) {
+        if (!container) return;
+        ensureStyles();
+        const info = describe(err);
+        const ui = MESSAGES[language()].ui;
+
+        const box = document.createElement('div');
+        box.className = 'game-error';
+        box.setAttribute('role', 'alert');
+        box.dataset.code = info.code;
+
+        const add = (tag, text) => {
+            const el = document.createElement(tag);
+            el.textContent = text;
+            box.appendChild(el);
+            return el;
+        };
+        add('h2', info.title);
+        add('p', info.message);
+        if (info.details.length > 0) {
+            const list = add('ul', '');
+            info.details.forEach(line => {
+                const li = document.createElement('li');
+                li.textContent = line;
+                list.appendChild(li);
+            });
+        }
+        if (info.excerpt) add('pre', info.excerpt);
+
+        const actions = document.createElement('div');
+        actions.className = 'game-error-actions';
+        const addAction = (label, primary, onClick) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = primary ? 'btn primary' : 'btn';
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+        };
+        addAction(ui.retry, true, () => window.location.reload());
+        const url = rawUrl(options.fileId);
+        if (url) addAction(ui.raw, false, () => window.open(url, '_blank', 'noopener'));
+        addAction(ui.back, false, () => goBack(options.fileId));
+        box.appendChild(actions);
+
+        add('div', `${ui.code}: ${info.code}`).className = 'game-error-code';
+
+        container.innerHTML = '';
+        container.appendChild(box);
+    }
+
+    window.GameErrors = {
+        CODES,
+        GameError,
+        create,
+        from,
+        parseJson,
+        describe,
+        toMessage,
+        rawUrl,
+        folderOf,
+        render
+    };
+})();
@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * game_registry.js - Verzeichnis aller Spieltypen
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Jeder Spieltyp beschreibt sich in einem eigenen Modul unter games/types/
+ * (game_type, HTML-Template, Schema, Mischregeln, Items, Anzeige). Alle
+ * anderen Stellen lesen nur noch hier nach:
+ * - GameBase:         Schema-Prüfung (über game_schemas.js) und Mischen
+ *                     (mit einer Zufallsquelle aus createRandom(seed))
+ * - index.js:         Template der Spiel-iframes, Badges, Filter, Volltextsuche, Umfang, GitHub-Index
+ * - exam_simulation:  Prüfungsfragen
+ * - tools/update_index.js: Metadaten (itemCount, Spielzeit, Tags)
+ * - game_loader.html: Template für alte Links (game_loader.html?file=...)
+ *
+ * TYP-MODUL (games/types/<game_type>.js):
+ * ---------------------------------------
+ *   GameRegistry.register({
+ *       id: 'quick_quiz',                    // = game_type im JSON
+ *       name: 'Quick-Quiz', badge: 'QQ',     // Anzeige; badge auch im Dateinamen ("… AP1-QQ01.json")
+ *       icon: '⚡', unit: ['Frage', 'Fragen'],
+ *       template: 'quick_quiz.html',         // relativ zu games/
+ *       minutesPerItem: 0.5,                 // Schätzung, falls das JSON kein estimated_minutes hat
+ *       schema: { ... },                     // JSON-Schema-Teilmenge (siehe game_schemas.js)
+ *       check(data, add) { },                // optional: inhaltliche Prüfungen, add(pfad, meldung)
+ *       shuffle(data, shuffle) { },          // mischt die (geklonten) Daten: x = shuffle(x)
+ *       items(data) { return [{ id, texts: [...], tags: [...] }]; },   // Lern-Items
+ *       searchTexts(data) { },               // optional: weitere Suchtexte (z. B. Abschnittstitel)
+ *       sectionCount(data) { },              // optional: Anzahl Abschnitte (Escape-Game)
+ *       estimateMinutes(data, itemCount) { },// optional: eigene Schätzung, null = Standard
+ *       examQuestions(data, fileId) { }      // optional: Fragen für die Prüfungssimulation
+ *   });
+ *
+ * NEUEN SPIELTYP ERGÄNZEN:
+ * ------------------------
+ * 1. games/types/<game_type>.js nach dem Muster oben anlegen
+ * 2. Template (HTML/CSS/JS mit GameBase-Subklasse) in games/ ablegen; es
+ *    bindet game_schemas.js, game_registry.js und sein Typ-Modul vor
+ *    game_base.js ein
+ * 3. node tools/update_index.js ausführen: schreibt games/game_types.js neu
+ *    (Typ-Module + Template-Dateien, die das Template aus games/ einbindet)
+ * Node (tools/update_index.js) lädt alle Module in games/types/ selbst,
+ * index.html die Module aus games/game_types.js (loadModules), sw.js cacht
+ * Module und Templates daraus, game_loader.html lädt das passende Modul bei
+ * Bedarf (loadModule).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const REQUIRED_FIELDS = ['id', 'name', 'badge', 'template', 'schema', 'shuffle', 'items'];
+    const types = new Map();
+
+    function listOf(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    /**
+     * Nimmt einen Spieltyp auf (siehe TYP-MODUL).
+     */
+    function register(def) {
+        const missing = REQUIRED_FIELDS.filter(key => !def || def[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Spieltyp "${def && def.id}": es fehlen ${missing.join(', ')}.`);
+        }
+        if (types.has(def.id)) throw new Error(`Spieltyp "${def.id}" ist bereits registriert.`);
+        types.set(def.id, { icon: '🎮', unit: ['Item', 'Items'], minutesPerItem: null, ...def });
+    }
+
+    function get(type) {
+        return types.get(type) || null;
+    }
+
+    function typeOf(data) {
+        return (data && typeof data === 'object' && (data.game_type || data.gameType)) || null;
+    }
+
+    function forData(data) {
+        return get(typeOf(data));
+    }
+
+    /**
+     * Alle Spieltypen in Registrierungsreihenfolge.
+     */
+    function list() {
+        return [...types.values()];
+    }
+
+    function ids() {
+        return [...types.keys()];
+    }
+
+    function templateFor(type) {
+        const def = get(type);
+        return def ? def.template : null;
+    }
+
+    // Seeds: kurze Zeichenketten, die sich in URLs und Links abtippen lassen
+    const SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+    /**
+     * Prüft einen Seed (z. B. aus der URL). Ungültige Werte → null.
+     */
+    function normalizeSeed(value) {
+        const seed = typeof value === 'string' ? value.trim() : '';
+        return SEED_PATTERN.test(seed) ? seed : null;
+    }
+
+    /**
+     * Neuer zufälliger Seed (6 Zeichen, base36).
+     */
+    function newSeed() {
+        return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+    }
+
+    /**
+     * Reproduzierbare Zufallsquelle: gleicher Seed → gleiche Zahlenfolge.
+     * Der Seed wird gehasht (FNV-1a), die Folge liefert mulberry32.
+     * @param {string} seed
+     * @returns {Function} () => Zahl in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = 0x811c9dc5;
+        const str = String(seed);
+        for (let i = 0; i < str.length; i++) {
+            state = Math.imul(state ^ str.charCodeAt(i), 0x01000193);
+        }
+        return function random() {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function shuffleArray(arr, random) {
+        if (!Array.isArray(arr)) return arr;
+        const copy = [...arr];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * Gemischte Kopie eines Payloads nach den Regeln seines Typs.
+     * @param {Object} data
+     * @param {Function} [random] - Zufallsquelle (Standard: Math.random)
+     */
+    function shufflePayload(data, random = Math.random) {
+        if (!data || typeof data !== 'object') return data;
+        // Tiefe Kopie, damit gepufferte Originaldaten unverändert bleiben
+        const result = JSON.parse(JSON.stringify(data));
+        const def = forData(result);
+        if (def) def.shuffle(result, arr => shuffleArray(arr, random));
+        return result;
+    }
+
+    /**
+     * Lern-Items eines Payloads: [{ id, texts, tags }].
+     */
+    function items(data) {
+        const def = forData(data);
+        if (!def) return [];
+        return listOf(def.items(data)).filter(Boolean);
+    }
+
+    function countItems(data) {
+        return items(data).length;
+    }
+
+    function sectionCount(data) {
+        const def = forData(data);
+        return def && def.sectionCount ? def.sectionCount(data) : null;
+    }
+
+    /**
+     * Durchsuchbare Texte: Titel, typspezifische Zusatztexte und alle Item-Texte.
+     */
+    function searchTexts(data) {
+        const texts = [];
+        if (!data || typeof data !== 'object') return texts;
+        const push = (v) => { if (typeof v === 'string' && v.trim()) texts.push(v); };
+
+        push(data.title);
+        const def = forData(data);
+        if (!def) return texts;
+        if (def.searchTexts) listOf(def.searchTexts(data)).forEach(push);
+        items(data).forEach(item => listOf(item.texts).forEach(push));
+        return texts;
+    }
+
+    /**
+     * Geschätzte Spielzeit in Minuten (estimated_minutes im JSON hat Vorrang).
+     */
+    function estimateMinutes(data, itemCount = countItems(data)) {
+        if (Number(data && data.estimated_minutes) > 0) return Math.round(Number(data.estimated_minutes));
+        const def = forData(data);
+        if (!def || itemCount === 0) return null;
+        const own = def.estimateMinutes ? def.estimateMinutes(data, itemCount) : null;
+        if (own) return own;
+        return def.minutesPerItem ? Math.max(1, Math.ceil(itemCount * def.minutesPerItem)) : null;
+    }
+
+    /**
+     * Prüfungsfragen ({ text, options, correct, source }) eines Payloads.
+     */
+    function examQuestions(data, fileId) {
+        const def = forData(data);
+        return def && def.examQuestions ? listOf(def.examQuestions(data, fileId)) : [];
+    }
+
+    function examTypes() {
+        return list().filter(def => def.examQuestions).map(def => def.id);
+    }
+
+    /**
+     * Spieltyp aus dem Dateinamen ("Backup AP1-QQ01.json" → quick_quiz), solange
+     * das Payload noch nicht geladen ist (z. B. neue Dateien im GitHub-Index).
+     */
+    function typeFromFileName(name) {
+        const match = String(name).match(/-([A-Za-z]+)\d*\.json$/);
+        if (!match) return null;
+        const badge = match[1].toUpperCase();
+        const def = list().find(d => d.badge.toUpperCase() === badge);
+        return def ? def.id : null;
+    }
+
+    /**
+     * Browser: lädt ein Typ-Modul per <script> nach (z. B. 'games/types/quick_quiz.js').
+     * @returns {Promise} wird bei einem Ladefehler verworfen
+     */
+    function loadModule(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            // Reihenfolge der Liste = Registrierungsreihenfolge
+            script.async = false;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Typ-Modul ${src} konnte nicht geladen werden.`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Lädt mehrere Typ-Module (z. B. GAME_TYPE_MODULES aus games/game_types.js).
+     * Fehlende Module werden gemeldet, die übrigen trotzdem registriert.
+     */
+    function loadModules(srcs) {
+        return Promise.all(listOf(srcs).map(src => loadModule(src).catch(err => console.warn(err.message))));
+    }
+
+    const GameRegistry = {
+        register,
+        get,
+        forData,
+        list,
+        ids,
+        templateFor,
+        normalizeSeed,
+        newSeed,
+        createRandom,
+        shufflePayload,
+        items,
+        countItems,
+        sectionCount,
+        searchTexts,
+        estimateMinutes,
+        examQuestions,
+        examTypes,
+        typeFromFileName,
+        loadModule,
+        loadModules
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GameRegistry;
+        // Node: alle Typ-Module aus games/types/ laden (erst nach dem Export, sie binden die Registry ein)
+        const fs = require('fs');
+        const path = require('path');
+        const dir = path.join(__dirname, 'types');
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => require(path.join(dir, file)));
+    } else {
+        root.GameRegistry = GameRegistry;
+    }
+})(typeof window !== 'undefined' ? window : this);
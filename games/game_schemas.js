@@ -0,0 +1,277 @@
+/**
+ * ============================================================================
+ * game_schemas.js - Schema-Prüfung der Spiel-Payloads
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Prüft JSON-Payloads gegen das Schema ihres game_type. Die Schemas selbst
+ * stehen in den Typ-Modulen (games/types/<game_type>.js, siehe
+ * game_registry.js). Dieselbe Datei wird an zwei Stellen genutzt:
+ * - im Browser: GameBase prüft das Payload vor onDataLoaded()
+ *   (<script src="game_schemas.js"></script> vor game_base.js einbinden)
+ * - in Node:    tools/update_index.js prüft beim Indexieren alle JSON-Dateien
+ *   (require('../games/game_schemas.js'))
+ *
+ * SCHEMA-FORMAT:
+ * --------------
+ * Die Schemas sind eine Teilmenge von JSON Schema (draft-07). Unterstützt:
+ *     type, enum, const, required, properties, additionalProperties,
+ *     items, minItems, minLength, minimum, anyOf, allOf, if/then
+ * Zusätzliche Felder im Payload sind erlaubt (ältere Dateien tragen oft
+ * Zusatzinfos). Was sich nicht als Schema ausdrücken lässt (z. B. "correct"
+ * muss eine der Antwortoptionen sein), prüft check() im Typ-Modul.
+ * Kopffelder für alle Typen (z. B. "shuffle": false) prüft HEADER_SCHEMA.
+ *
+ * VERWENDUNG:
+ * -----------
+ *     const result = GameSchemas.validate(payload);
+ *     // → { valid: false, gameType: 'quick_quiz',
+ *     //     errors: [{ path: 'questions[3].correct', message: '...' }] }
+ *     GameSchemas.formatErrors(result.errors, 8);   // lesbare Liste
+ *
+ * NEUEN SPIELTYP ERGÄNZEN:
+ * ------------------------
+ * Schema und Prüfungen gehören ins Typ-Modul; Bausteine dafür liefern
+ * GameSchemas.fragments (NON_EMPTY_STRING, TEXT, OPTION_LIST) und
+ * GameSchemas.helpers (checkUnique, optionValues, ...).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    // Item-Pool von wer_bin_ich: kanonisch "items", ältere Payloads nutzen Themen-Schlüssel
+    const ITEM_POOL_ALIASES = ['items', 'legalForms', 'leadershipStyles'];
+
+    const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+    const TEXT = { type: ['string', 'number'] };
+
+    const OPTION_LIST = {
+        type: 'array',
+        minItems: 2,
+        items: {
+            type: 'object',
+            required: ['value', 'text'],
+            properties: { value: TEXT, text: TEXT }
+        }
+    };
+
+    // ================================================================
+    // Validator (JSON-Schema-Teilmenge)
+    // ================================================================
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeOf(value) === type;
+    }
+
+    function joinPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    function describe(value) {
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Prüft value gegen schema und hängt Fehler an errors an.
+     * @param {*} value
+     * @param {Object} schema
+     * @param {string} path   - z. B. 'sections[2].questions[0]'
+     * @param {Array} errors  - [{ path, message }]
+     */
+    function validateValue(value, schema, path, errors) {
+        const add = (message, at) => errors.push({ path: at === undefined ? path : at, message });
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(t => matchesType(value, t))) {
+                add(`erwartet ${types.join(' oder ')}, gefunden ${typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            add(`muss ${describe(schema.const)} sein, gefunden ${describe(value)}`);
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            add(`muss einer von ${schema.enum.map(describe).join(', ')} sein, gefunden ${describe(value)}`);
+        }
+
+        if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            add('darf nicht leer sein');
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            add(`muss mindestens ${schema.minimum} sein, gefunden ${value}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                const noun = schema.minItems === 1 ? 'Eintrag' : 'Einträge';
+                add(`braucht mindestens ${schema.minItems} ${noun}, gefunden ${value.length}`);
+            }
+            if (schema.items) {
+                value.forEach((item, idx) => validateValue(item, schema.items, joinPath(path, idx), errors));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) add(`Pflichtfeld "${key}" fehlt`, joinPath(path, key));
+            });
+            const props = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                if (props[key]) {
+                    validateValue(value[key], props[key], joinPath(path, key), errors);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    validateValue(value[key], schema.additionalProperties, joinPath(path, key), errors);
+                }
+            });
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => validateValue(value, sub, path, errors));
+        }
+
+        if (schema.anyOf) {
+            const attempts = schema.anyOf.map(sub => {
+                const subErrors = [];
+                validateValue(value, sub, path, subErrors);
+                return subErrors;
+            });
+            if (!attempts.some(list => list.length === 0)) {
+                const reasons = attempts.map(list => `${list[0].path}: ${list[0].message}`);
+                add(`erfüllt keine der erlaubten Varianten (${reasons.join(' ODER ')})`);
+            }
+        }
+
+        if (schema.if && schema.then) {
+            const probe = [];
+            validateValue(value, schema.if, path, probe);
+            if (probe.length === 0) validateValue(value, schema.then, path, errors);
+        }
+    }
+
+    // ================================================================
+    // Hilfen für die inhaltlichen Prüfungen (check() der Typ-Module)
+    // ================================================================
+
+    /**
+     * Ermittelt den Schlüssel des Item-Pools (wer_bin_ich): zuerst das
+     * deklarierte "itemsKey", sonst der erste bekannte Alias mit Array.
+     * @param {Object} data
+     * @returns {string|null}
+     */
+    function findItemPoolKey(data) {
+        if (!data || typeof data !== 'object') return null;
+        if (typeof data.itemsKey === 'string' && data.itemsKey !== '') {
+            return Array.isArray(data[data.itemsKey]) ? data.itemsKey : null;
+        }
+        return ITEM_POOL_ALIASES.find(key => Array.isArray(data[key])) || null;
+    }
+
+    function listOf(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    function checkUnique(list, key, path, label, add) {
+        const seen = new Set();
+        listOf(list).forEach((entry, idx) => {
+            if (!entry || entry[key] === undefined) return;
+            const id = String(entry[key]);
+            if (seen.has(id)) add(joinPath(joinPath(path, idx), key), `${label} "${id}" ist doppelt`);
+            seen.add(id);
+        });
+    }
+
+    function optionValues(options) {
+        return listOf(options).filter(o => o && o.value !== undefined).map(o => String(o.value));
+    }
+
+    // ================================================================
+    // Öffentliche API
+    // ================================================================
+
+    // Kopffelder, die für alle Spieltypen gelten (GameBase wertet sie aus)
+    const HEADER_SCHEMA = {
+        type: 'object',
+        properties: {
+            shuffle: { type: 'boolean' }    // false = feste Reihenfolge, kein Mischen
+        }
+    };
+
+    // Erst beim Prüfen nachschlagen: die Typ-Module brauchen beim Laden diese Datei
+    function registry() {
+        if (root && root.GameRegistry) return root.GameRegistry;
+        return require('./game_registry.js');
+    }
+
+    /**
+     * Prüft ein Payload gegen das Schema seines game_type.
+     * @param {Object} data
+     * @param {string} [gameType] - sonst data.game_type
+     * @returns {{valid: boolean, gameType: string|null, errors: Array<{path: string, message: string}>}}
+     */
+    function validate(data, gameType) {
+        const type = gameType || (data && (data.game_type || data.gameType)) || null;
+        const errors = [];
+        const def = registry().get(type);
+
+        if (!def) {
+            errors.push({ path: 'game_type', message: `unbekannter Spieltyp ${describe(type)}` });
+            return { valid: false, gameType: type, errors };
+        }
+
+        validateValue(data, HEADER_SCHEMA, '', errors);
+        validateValue(data, def.schema, '', errors);
+        if (typeOf(data) === 'object' && def.check) {
+            def.check(data, (path, message) => errors.push({ path, message }));
+        }
+
+        errors.forEach(e => { if (!e.path) e.path = '(Wurzel)'; });
+        return { valid: errors.length === 0, gameType: type, errors };
+    }
+
+    /**
+     * Macht aus der Fehlerliste lesbare Zeilen ("pfad: meldung").
+     * @param {Array} errors
+     * @param {number} [max] - höchstens so viele Zeilen, Rest wird zusammengefasst
+     * @returns {string[]}
+     */
+    function formatErrors(errors, max) {
+        const list = listOf(errors);
+        const limit = typeof max === 'number' && max > 0 ? max : list.length;
+        const lines = list.slice(0, limit).map(e => `${e.path}: ${e.message}`);
+        if (list.length > limit) lines.push(`… und ${list.length - limit} weitere Fehler.`);
+        return lines;
+    }
+
+    const GameSchemas = {
+        ITEM_POOL_ALIASES,
+        // Bausteine für die Schemas der Typ-Module
+        fragments: { NON_EMPTY_STRING, TEXT, OPTION_LIST },
+        helpers: { listOf, joinPath, checkUnique, optionValues, validateValue },
+        gameTypes: () => registry().ids(),
+        validate,
+        formatErrors,
+        findItemPoolKey
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GameSchemas;
+    } else {
+        root.GameSchemas = GameSchemas;
+    }
+})(typeof window !== 'undefined' ? window : this);
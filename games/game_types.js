@@ -0,0 +1,39 @@
+/**
+ * AUTOMATISCH GENERIERT aus games/types/ - nicht manuell ändern!
+ * Neuer Spieltyp: Modul in games/types/ und Template in games/ ablegen,
+ * node tools/update_index.js ausführen.
+ */
+self.GAME_TYPE_MODULES = [
+    'games/types/escape_game.js',
+    'games/types/matching_puzzle.js',
+    'games/types/quick_quiz.js',
+    'games/types/sortier_spiel.js',
+    'games/types/wer_bin_ich.js',
+    'games/types/what_and_why.js'
+];
+
+self.GAME_TEMPLATE_FILES = [
+    'games/Escape-Game.html',
+    'games/Escape-Game.css',
+    'games/game_schemas.js',
+    'games/game_registry.js',
+    'games/game_errors.js',
+    'games/game_base.js',
+    'games/Escape-Game.js',
+    'games/matching_puzzle.html',
+    'games/matching_puzzle.css',
+    'games/matching_puzzle.js',
+    'games/quick_quiz.html',
+    'games/quick_quiz.css',
+    'games/quick_quiz.js',
+    'games/sortier_spiel.html',
+    'games/sortier_spiel.css',
+    'games/sortier_spiel_payload.js',
+    'games/sortier_spiel.js',
+    'games/wer_bin_ich.html',
+    'games/wer_bin_ich.css',
+    'games/wer_bin_ich.js',
+    'games/what_and_why.html',
+    'games/what_and_why.css',
+    'games/what_and_why.js'
+];
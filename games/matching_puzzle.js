@@ -26,6 +26,9 @@
             this.columnKeys = ['col1', 'col2', 'col3']; // Die Schlüssel für die Spalten
             this.selection = {};      // { col1: null, col2: null, col3: null }
 
+            this.missedSetIds = new Set(); // Sets mit Fehlversuch in dieser Runde (Leitner)
+            this.cleanSets = 0;            // Sets ohne Fehlversuch gefunden (Punkte)
+
             this.batches = [];        // Array of arrays (rounds)
             this.currentRoundIndex = 0;
             this.roundFoundSets = 0;  // Found within current round
@@ -103,15 +106,6 @@
             this.resetGame();
         }
 
-        shuffle(array) {
-            const copy = [...array];
-            for (let i = copy.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [copy[i], copy[j]] = [copy[j], copy[i]];
-            }
-            return copy;
-        }
-
         updateStats() {
             if (this.foundSetsEl) this.foundSetsEl.textContent = `${this.foundSets}/${this.totalSets}`;
             if (this.attemptsEl) this.attemptsEl.textContent = String(this.attempts);
@@ -130,7 +124,8 @@
         }
 
         prepareBatches(sets) {
-            const copy = this.shuffle(sets);
+            // Gemischt, aber fällige Sets (Leitner) landen in den ersten Runden
+            const copy = this.sortByDue(this.shuffleArray(sets), s => s.id);
             const total = copy.length;
             const batches = [];
 
@@ -206,7 +201,7 @@
             // Prepare shuffled data for each column (within the batch)
             const columnsData = {};
             this.columnKeys.forEach(key => {
-                columnsData[key] = this.shuffle(currentBatch);
+                columnsData[key] = this.shuffleArray(currentBatch);
             });
 
             // Hints / Titles from JSON
@@ -278,6 +273,17 @@
                 });
 
                 this.foundSets++;
+                // Ein Set gilt nur als gewusst, wenn es ohne Fehlversuch gefunden wurde
+                if (!this.missedSetIds.has(refId)) {
+                    this.cleanSets++;
+                    this.recordItemResult(refId, true);
+                }
+                this.reportResult({
+                    score: this.cleanSets,
+                    maxScore: this.totalSets,
+                    completed: this.foundSets >= this.totalSets
+                });
+
                 if (this.feedbackEl) {
                     this.feedbackEl.textContent = 'Korrektes Set gefunden!';
                     this.feedbackEl.className = 'ok';
@@ -291,10 +297,17 @@
                 this.updateStats();
 
                 this.checkRoundCompletion();
+                this.saveSession();
             } else {
                 // NO MATCH
                 selectedCards.forEach(card => card.classList.add('wrong'));
 
+                // Fehlversuch dem Set der ersten Spalte (Begriff) zuordnen
+                if (!this.missedSetIds.has(refId)) {
+                    this.missedSetIds.add(refId);
+                    this.recordItemResult(refId, false);
+                }
+
                 if (this.feedbackEl) {
                     this.feedbackEl.textContent = 'Das passt noch nicht zusammen. Versuch es erneut.';
                     this.feedbackEl.className = 'error';
@@ -311,6 +324,7 @@
                     this.setCardsDisabled(false);
                     this.evaluationLock = false;
                     this.updateStats();
+                    this.saveSession();
                 }, 900);
             }
         }
@@ -394,6 +408,71 @@
                 this.feedbackEl.textContent = 'Finde die passenden Sets!';
                 this.feedbackEl.className = 'info';
             }
+            this.saveSession();
+        }
+
+        /**
+         * Spielstand: Runden (Set-IDs), aktuelle Runde und gefundene Sets.
+         */
+        getSaveState() {
+            // Alle Sets gefunden: nichts mehr fortzusetzen
+            if (this.totalSets > 0 && this.foundSets >= this.totalSets) return null;
+
+            const firstKey = this.columnKeys[0];
+            const matchedIds = [...this.columnsContainer.querySelectorAll(`.card.matched[data-col-key="${firstKey}"]`)]
+                .map(card => card.dataset.setId);
+
+            return {
+                batches: this.batches.map(batch => batch.map(set => set.id)),
+                currentRoundIndex: this.currentRoundIndex,
+                matchedIds,
+                foundSets: this.foundSets,
+                attempts: this.attempts,
+                cleanSets: this.cleanSets,
+                missedSetIds: [...this.missedSetIds]
+            };
+        }
+
+        restoreSaveState(state) {
+            if (!state || !Array.isArray(state.batches)) return;
+
+            const byId = new Map(this.sets.map(set => [String(set.id), set]));
+            const batches = state.batches.map(ids => ids.map(id => byId.get(String(id))));
+            if (batches.some(batch => batch.some(set => !set))) {
+                throw new Error('Gespeicherte Runden passen nicht zu den Sets.');
+            }
+
+            this.batches = batches;
+            this.currentRoundIndex = Math.min(state.currentRoundIndex || 0, batches.length - 1);
+            this.foundSets = state.foundSets || 0;
+            this.attempts = state.attempts || 0;
+            this.cleanSets = state.cleanSets || 0;
+            this.missedSetIds = new Set(state.missedSetIds || []);
+
+            this.renderGrid();
+
+            const matched = new Set((state.matchedIds || []).map(String));
+            this.columnsContainer.querySelectorAll('.card').forEach(card => {
+                if (matched.has(card.dataset.setId)) {
+                    card.classList.add('matched', 'disabled');
+                    card.disabled = true;
+                }
+            });
+            this.roundFoundSets = matched.size;
+
+            const roundDone = this.roundFoundSets >= (this.batches[this.currentRoundIndex] || []).length;
+            if (this.nextRoundBtn) {
+                this.nextRoundBtn.style.display = roundDone && this.currentRoundIndex < this.batches.length - 1 ? 'inline-flex' : 'none';
+            }
+            if (this.feedbackEl) {
+                this.feedbackEl.textContent = roundDone ? 'Runde geschafft! Weiter geht\'s.' : 'Spielstand fortgesetzt – finde die restlichen Sets!';
+                this.feedbackEl.className = 'info';
+            }
+            this.updateStats();
+        }
+
+        onRestart() {
+            this.resetGame();
         }
 
         resetGame() {
@@ -409,6 +488,9 @@
             this.foundSets = 0;
             this.roundFoundSets = 0;
             this.attempts = 0;
+            this.missedSetIds.clear();
+            this.cleanSets = 0;
+            this.startRun();
 
             // Clear selection object
             this.columnKeys.forEach(key => this.selection[key] = null);
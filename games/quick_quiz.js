@@ -32,6 +32,7 @@
             this.highscore = 0;
             this.questionCount = 0;
             this.streak = 0;
+            this.solvedIds = new Set();     // richtig beantwortete Fragen dieser Runde
             this.currentQuestion = null;
             this.remainingTime = this.timePerQuestion;
             this.timerId = null;
@@ -165,6 +166,7 @@
             this.updateTimerUI();
 
             this.timerId = setInterval(() => {
+                if (this.paused) return;
                 this.remainingTime -= 0.1;
                 if (this.remainingTime <= 0) {
                     this.remainingTime = 0;
@@ -205,19 +207,19 @@
             });
         }
 
-        // Shuffle-Array Helper
-        shuffleArray(arr) {
-            const copy = [...arr];
-            for (let i = copy.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [copy[i], copy[j]] = [copy[j], copy[i]];
-            }
-            return copy;
+        /**
+         * Leitner-ID einer Frage (Fragen haben kein eigenes "id"-Feld)
+         */
+        questionId(question) {
+            return question.id || window.LeitnerStore?.itemIdFromText(question.text) || question.text;
         }
 
+        /**
+         * Zieht die nächste Frage aus der Fälligkeits-Warteschlange
+         * (fällige zuerst, die aktuelle Frage nicht direkt wiederholen).
+         */
         pickRandomQuestion() {
-            const shuffled = this.shuffleArray(this.questions);
-            return shuffled[0];
+            return this.pickDue(this.questions, q => this.questionId(q), this.currentQuestion || undefined);
         }
 
         nextQuestion() {
@@ -243,6 +245,9 @@
 
             this.streak = 0;
             this.updateStats();
+            this.recordItemResult(this.questionId(this.currentQuestion), false);
+            this.reportProgress();
+            this.saveSession();
 
             // Richtige Antwort markieren
             const buttons = this.optionsContainer.querySelectorAll('.option-btn');
@@ -269,6 +274,7 @@
             this.setOptionsDisabled(true);
 
             const isCorrect = selected === this.currentQuestion.correct;
+            this.recordItemResult(this.questionId(this.currentQuestion), isCorrect);
 
             const labels = this.configData.uiLabels?.feedback || {};
 
@@ -285,6 +291,7 @@
             });
 
             if (isCorrect) {
+                this.solvedIds.add(this.questionId(this.currentQuestion));
                 this.score++;
                 this.streak++;
                 if (this.score > this.highscore) {
@@ -301,22 +308,67 @@
             }
 
             this.updateStats();
+            this.reportProgress();
+            this.saveSession();
 
             setTimeout(() => {
                 this.nextQuestion();
             }, 800);
         }
 
+        /**
+         * Fortschritt: richtige / beantwortete Fragen. Geschafft ist die
+         * Runde, sobald jede Frage mindestens einmal richtig war.
+         */
+        reportProgress() {
+            this.reportResult({
+                score: this.score,
+                maxScore: this.questionCount,
+                completed: this.solvedIds.size >= this.questions.length
+            });
+        }
+
         restartGame() {
             this.score = 0;
             this.streak = 0;
             this.questionCount = 0;
+            this.solvedIds.clear();
+            this.startRun();
             this.resetFeedback();
             this.updateStats();
             this.renderOptions();
             this.nextQuestion();
         }
 
+        /**
+         * Spielstand: Punkte und Zähler. Die offene Frage zählt beim
+         * Fortsetzen nicht mit, es geht mit einer neuen Frage weiter.
+         */
+        getSaveState() {
+            if (!this.hasStarted) return null;
+            return {
+                score: this.score,
+                highscore: this.highscore,
+                questionCount: this.locked ? this.questionCount : Math.max(0, this.questionCount - 1),
+                streak: this.streak,
+                solvedIds: [...this.solvedIds]
+            };
+        }
+
+        restoreSaveState(state) {
+            if (!state || !this.questions.length) return;
+            this.score = state.score || 0;
+            this.highscore = Math.max(state.highscore || 0, this.score);
+            this.questionCount = state.questionCount || 0;
+            this.streak = state.streak || 0;
+            this.solvedIds = new Set(state.solvedIds || []);
+
+            this.hasStarted = true;
+            this.updateRestartButton();
+            this.renderOptions();
+            this.nextQuestion();
+        }
+
         updateRestartButton() {
             if (!this.hasStarted) {
                 this.restartBtn.classList.remove('running');
@@ -336,6 +388,10 @@
             this.restartGame();
             this.updateRestartButton();
         }
+
+        onRestart() {
+            this.handleRestartClick();
+        }
     }
 
     if (document.readyState === 'loading') {
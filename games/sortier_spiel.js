@@ -37,6 +37,8 @@
             // Spiel-State
             this.dragCardId = null;   // Aktuelle Karten-ID
             this.draggedElement = null; // Aktuell gedragtes Element (für Clones wichtig)
+            this.recordedCardIds = new Set(); // Leitner: erste Auswertung je Karte zählt
+            this.solved = false;      // alle Karten korrekt einsortiert?
 
             // DOM-Referenzen
             this.poolEl = null;
@@ -78,25 +80,13 @@
             this.initCards();
         }
 
-        /**
-         * Shuffle-Funktion
-         */
-        shuffle(arr) {
-            const a = arr.slice();
-            for (let i = a.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [a[i], a[j]] = [a[j], a[i]];
-            }
-            return a;
-        }
-
         /**
          * Rendert die Spalten
          */
         renderColumns() {
             this.columnsGridEl.innerHTML = '';
             // Shuffle columns to avoid fixed positions
-            const shuffledCols = this.shuffle(this.columns);
+            const shuffledCols = this.shuffleArray(this.columns);
             shuffledCols.forEach(col => {
                 const colDiv = document.createElement('div');
                 colDiv.className = 'sort-column';
@@ -146,7 +136,8 @@
         initCards() {
             this.poolEl.innerHTML = '';
             this.poolEl.classList.remove('empty');
-            const shuffled = this.shuffle(this.cards);
+            // Gemischt, aber fällige Karten (Leitner) zuerst
+            const shuffled = this.sortByDue(this.shuffleArray(this.cards), c => c.id);
             shuffled.forEach(card => {
                 const el = this.createCard(card);
                 this.poolEl.appendChild(el);
@@ -246,6 +237,7 @@
 
                 // Checken ob es die letzte war -> Wenn ja, im Pool wiederherstellen
                 this.checkAndRestoreToPool(cardId);
+                this.saveSession();
                 return;
             }
 
@@ -276,6 +268,7 @@
                 // Wir brauchen keine speziellen Marker mehr, jede Karte ist gleichwertig
                 zone.appendChild(clone);
             }
+            this.saveSession();
         }
 
 
@@ -296,10 +289,12 @@
             this.clearCardStates();
             let correctPlacements = 0;
             let totalPlacements = 0;
+            let solvedCards = 0;
 
             this.cards.forEach(cardData => {
                 // Finde alle Instanzen dieser Karte
                 const instances = document.querySelectorAll(`.sort-card[data-card-id="${cardData.id}"]`);
+                const placedForms = new Set();
 
                 instances.forEach(cardEl => {
                     // Ignoriere Karten im Pool
@@ -308,6 +303,7 @@
 
                     totalPlacements++;
                     const assignedForm = parentZone.dataset.form || null;
+                    if (assignedForm) placedForms.add(assignedForm);
 
                     const isCorrect =
                         assignedForm &&
@@ -320,9 +316,21 @@
                         cardEl.classList.add('wrong');
                     }
                 });
+
+                this.recordCardResult(cardData, placedForms);
+                if (this.isCardSolved(cardData, placedForms)) solvedCards++;
             });
 
             this.statCorrectEl.textContent = correctPlacements.toString();
+            if (totalPlacements > 0) {
+                this.solved = solvedCards === this.cards.length;
+                this.reportResult({
+                    score: solvedCards,
+                    maxScore: this.cards.length,
+                    completed: this.solved
+                });
+                this.saveSession();
+            }
 
             // Feedback basierend auf Placements
             if (totalPlacements === 0) {
@@ -340,11 +348,78 @@
             }
         }
 
+        /**
+         * Leitner: Eine Karte gilt als gewusst, wenn sie genau in allen
+         * richtigen Spalten liegt. Nicht platzierte Karten zählen nicht.
+         */
+        recordCardResult(cardData, placedForms) {
+            if (placedForms.size === 0 || this.recordedCardIds.has(cardData.id)) return;
+            this.recordedCardIds.add(cardData.id);
+            this.recordItemResult(cardData.id, this.isCardSolved(cardData, placedForms));
+        }
+
+        /**
+         * Eine Karte ist gelöst, wenn sie genau in allen richtigen Spalten liegt.
+         */
+        isCardSolved(cardData, placedForms) {
+            const expected = cardData.correctForms;
+            return placedForms.size === expected.length &&
+                expected.every(form => placedForms.has(form));
+        }
+
+        /**
+         * Spielstand: Spaltenreihenfolge und welche Karten in welcher Spalte liegen
+         */
+        getSaveState() {
+            if (this.solved) return null;
+
+            const placements = {};
+            this.columnsGridEl.querySelectorAll('[data-dropzone="column"]').forEach(zone => {
+                const ids = [...zone.querySelectorAll('.sort-card')].map(el => el.dataset.cardId);
+                if (ids.length) placements[zone.dataset.form] = ids;
+            });
+
+            return {
+                columnOrder: [...this.columnsGridEl.querySelectorAll('.sort-column')].map(el => el.dataset.form),
+                placements,
+                recordedCardIds: [...this.recordedCardIds]
+            };
+        }
+
+        restoreSaveState(state) {
+            if (!state) return;
+
+            (state.columnOrder || []).forEach(form => {
+                const col = [...this.columnsGridEl.querySelectorAll('.sort-column')].find(el => el.dataset.form === form);
+                if (col) this.columnsGridEl.appendChild(col);
+            });
+
+            Object.entries(state.placements || {}).forEach(([form, cardIds]) => {
+                const zone = [...this.columnsGridEl.querySelectorAll('[data-dropzone="column"]')].find(z => z.dataset.form === form);
+                if (!zone) return;
+
+                cardIds.forEach(cardId => {
+                    // Erste Platzierung verschiebt die Karte aus dem Pool, weitere sind Kopien
+                    const inPool = this.poolEl.querySelector(`.sort-card[data-card-id="${cardId}"]`);
+                    const cardData = this.cards.find(c => c.id === cardId);
+                    const el = inPool || (cardData ? this.createCard(cardData) : null);
+                    if (!el) return;
+                    el.dataset.form = form;
+                    zone.appendChild(el);
+                });
+            });
+
+            this.recordedCardIds = new Set(state.recordedCardIds || []);
+        }
+
         /**
          * Setzt Board zurück
          */
         resetBoard() {
             this.clearCardStates();
+            this.recordedCardIds.clear();
+            this.solved = false;
+            this.startRun();
 
             // Lösche alle Karten aus den Spalten
             const cols = document.querySelectorAll('.sort-dropzone .sort-card');
@@ -356,6 +431,10 @@
             this.feedbackEl.className = 'feedback';
             this.feedbackEl.textContent = 'Ziehe jede Eigenschaft in passende Spalten. Eine Eigenschaft kann zu mehreren Rechtsformen passen.';
         }
+
+        onRestart() {
+            this.resetBoard();
+        }
     }
 
     // Spiel initialisieren, wenn DOM geladen
@@ -0,0 +1,182 @@
+/**
+ * ============================================================================
+ * sortier_spiel_payload.js - Payload-Adapter für das Sortier-Spiel
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Übersetzt ein sortier_spiel-JSON in die Felder, die SortierSpiel erwartet
+ * (game.columns, game.cards), prüft die Daten und wirft bei Fehlern eine
+ * verständliche Meldung (GameBase zeigt sie als Fehlerbox an).
+ *
+ * JSON-FORMAT:
+ * ------------
+ * {
+ *     "game_type": "sortier_spiel",
+ *     "title": "Sortier-Spiel – Vertragsarten (AP1)",
+ *     "description": "Ziehe jede Eigenschaft in alle passenden Spalten.",
+ *     "columns": [ { "id": "werk", "title": "Werkvertrag", "subtitle": "§ 631 BGB" } ],
+ *     "cards":   [ { "id": "c01", "text": "Ein Erfolg ist geschuldet", "correctForms": ["werk"] } ]
+ * }
+ *
+ * ALTE SCHLÜSSEL (werden weiterhin akzeptiert):
+ * ----------------------------------------------
+ * - Spalten:        "forms" oder "legalForms" statt "columns"
+ * - Spaltentitel:   "name" oder "label" statt "title"
+ * - Karten:         "properties" oder "items" statt "cards"
+ * - Kartentext:     "label" oder "name" statt "text"
+ * - Lösungen:       "correctColumns", "forms" oder "correct" statt "correctForms"
+ *                   (auch als einzelner String; Spaltentitel statt IDs sind erlaubt)
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const MAX_ERRORS = 8;
+
+    function firstArray(data, keys) {
+        for (const key of keys) {
+            if (Array.isArray(data[key])) return { key, list: data[key] };
+        }
+        return { key: keys[0], list: null };
+    }
+
+    function firstString(obj, keys) {
+        for (const key of keys) {
+            const value = obj[key];
+            if (typeof value === 'string' && value.trim() !== '') return value.trim();
+            if (typeof value === 'number') return String(value);
+        }
+        return '';
+    }
+
+    /**
+     * Normalisiert und prüft ein Payload.
+     * @param {Object} data
+     * @returns {{columns: Array, cards: Array}}
+     * @throws {Error} mit allen gefundenen Problemen (zeilenweise)
+     */
+    function normalizePayload(data) {
+        const errors = [];
+        const payload = data && typeof data === 'object' ? data : {};
+
+        // --- Spalten ---
+        const colSource = firstArray(payload, ['columns', 'forms', 'legalForms']);
+        const columns = [];
+        const columnIds = new Set();
+        const idByTitle = new Map();
+
+        if (!colSource.list || colSource.list.length === 0) {
+            errors.push('Es fehlen die Spalten ("columns" als nicht-leeres Array).');
+        } else {
+            colSource.list.forEach((raw, idx) => {
+                const where = `${colSource.key}[${idx}]`;
+                if (!raw || typeof raw !== 'object') {
+                    errors.push(`${where}: Spalte muss ein Objekt sein.`);
+                    return;
+                }
+                const title = firstString(raw, ['title', 'name', 'label']);
+                const id = firstString(raw, ['id']) || title;
+                if (!id) {
+                    errors.push(`${where}: Spalte braucht eine "id" oder einen "title".`);
+                    return;
+                }
+                if (columnIds.has(id)) {
+                    errors.push(`${where}: Spalten-ID "${id}" ist doppelt.`);
+                    return;
+                }
+                columnIds.add(id);
+                if (title) idByTitle.set(title.toLowerCase(), id);
+                columns.push({
+                    id,
+                    title: title || id,
+                    subtitle: firstString(raw, ['subtitle', 'description', 'hint'])
+                });
+            });
+        }
+
+        // --- Karten ---
+        const cardSource = firstArray(payload, ['cards', 'properties', 'items']);
+        const cards = [];
+        const cardIds = new Set();
+
+        if (!cardSource.list || cardSource.list.length === 0) {
+            errors.push('Es fehlen die Karten ("cards" als nicht-leeres Array).');
+        } else {
+            cardSource.list.forEach((raw, idx) => {
+                const where = `${cardSource.key}[${idx}]`;
+                if (!raw || typeof raw !== 'object') {
+                    errors.push(`${where}: Karte muss ein Objekt sein.`);
+                    return;
+                }
+                const text = firstString(raw, ['text', 'label', 'name']);
+                if (!text) {
+                    errors.push(`${where}: Karte hat keinen Text ("text").`);
+                    return;
+                }
+                const id = firstString(raw, ['id']) || `card-${idx + 1}`;
+                if (cardIds.has(id)) {
+                    errors.push(`${where}: Karten-ID "${id}" ist doppelt.`);
+                    return;
+                }
+                cardIds.add(id);
+
+                let solution = raw.correctForms !== undefined ? raw.correctForms
+                    : raw.correctColumns !== undefined ? raw.correctColumns
+                        : raw.forms !== undefined ? raw.forms
+                            : raw.correct;
+                if (typeof solution === 'string') solution = [solution];
+                if (!Array.isArray(solution) || solution.length === 0) {
+                    errors.push(`${where} ("${text}"): "correctForms" fehlt oder ist leer.`);
+                    return;
+                }
+
+                const correctForms = [];
+                solution.forEach(ref => {
+                    const key = String(ref);
+                    const resolved = columnIds.has(key) ? key : idByTitle.get(key.toLowerCase());
+                    if (!resolved) {
+                        errors.push(`${where} ("${text}"): unbekannte Spalte "${key}".`);
+                    } else if (!correctForms.includes(resolved)) {
+                        correctForms.push(resolved);
+                    }
+                });
+                if (correctForms.length === 0) return;
+
+                cards.push({ id, text, correctForms });
+            });
+        }
+
+        if (errors.length > 0) {
+            const shown = errors.slice(0, MAX_ERRORS);
+            if (errors.length > MAX_ERRORS) shown.push(`… und ${errors.length - MAX_ERRORS} weitere Fehler.`);
+            throw new Error('Ungültige Sortier-Spiel-Daten:\n- ' + shown.join('\n- '));
+        }
+
+        return { columns, cards };
+    }
+
+    /**
+     * Überträgt das Payload auf eine SortierSpiel-Instanz (inkl. Titel/Beschreibung).
+     */
+    function applyPayloadToGame(game, data) {
+        const normalized = normalizePayload(data);
+        game.columns = normalized.columns;
+        game.cards = normalized.cards;
+
+        const titleEl = document.querySelector('.title-block h1');
+        if (titleEl && data.title) titleEl.textContent = data.title;
+
+        const descEl = document.querySelector('.title-block p');
+        if (descEl && data.description) descEl.textContent = data.description;
+
+        return normalized;
+    }
+
+    window.SortierSpielPayload = {
+        normalizePayload,
+        applyPayloadToGame
+    };
+})();
@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * types/escape_game.js - Spieltyp "escape_game" (Escape-Game)
+ * ============================================================================
+ *
+ * Mehrere Abschnitte (Quiz, Sortieren, Zuordnen), die zusammen die Tür
+ * öffnen. Auch das Format der Prüfungssimulation (exam_simulation.js).
+ * Felder siehe games/game_registry.js (TYP-MODUL).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const GameSchemas = isNode ? require('../game_schemas.js') : root.GameSchemas;
+    const GameRegistry = isNode ? require('../game_registry.js') : root.GameRegistry;
+    const { NON_EMPTY_STRING, TEXT, OPTION_LIST } = GameSchemas.fragments;
+    const { listOf, joinPath, checkUnique, optionValues } = GameSchemas.helpers;
+
+    GameRegistry.register({
+        id: 'escape_game',
+        name: 'Escape-Game',
+        badge: 'EG',
+        icon: '🔐',
+        unit: ['Abschnitt', 'Abschnitte'],
+        template: 'Escape-Game.html',
+        minutesPerItem: 1,
+
+        schema: {
+            type: 'object',
+            required: ['game_type', 'title', 'sections'],
+            properties: {
+                game_type: { const: 'escape_game' },
+                title: NON_EMPTY_STRING,
+                schema_version: { type: 'string' },
+                estimated_minutes: { type: 'integer', minimum: 1 },
+                sections: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id', 'type', 'title'],
+                        properties: {
+                            id: NON_EMPTY_STRING,
+                            type: { enum: ['quiz', 'sort', 'capital'] },
+                            title: { type: 'string' },
+                            subtitle: { type: 'string' },
+                            hintDefault: { type: 'string' }
+                        },
+                        allOf: [
+                            {
+                                if: { properties: { type: { const: 'quiz' } } },
+                                then: {
+                                    required: ['questions'],
+                                    properties: {
+                                        questions: {
+                                            type: 'array',
+                                            minItems: 1,
+                                            items: {
+                                                type: 'object',
+                                                required: ['id', 'text', 'options', 'correct'],
+                                                properties: {
+                                                    id: NON_EMPTY_STRING,
+                                                    text: NON_EMPTY_STRING,
+                                                    options: OPTION_LIST,
+                                                    correct: TEXT
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            },
+                            {
+                                if: { properties: { type: { const: 'sort' } } },
+                                then: {
+                                    required: ['sortColumns', 'sortCards'],
+                                    properties: {
+                                        sortColumns: {
+                                            type: 'array',
+                                            minItems: 2,
+                                            items: {
+                                                type: 'object',
+                                                required: ['zone', 'label'],
+                                                properties: {
+                                                    zone: NON_EMPTY_STRING,
+                                                    label: { type: 'string' },
+                                                    hint: { type: 'string' }
+                                                }
+                                            }
+                                        },
+                                        sortCards: {
+                                            type: 'array',
+                                            minItems: 1,
+                                            items: {
+                                                type: 'object',
+                                                required: ['id', 'text', 'correctZone'],
+                                                properties: {
+                                                    id: NON_EMPTY_STRING,
+                                                    text: NON_EMPTY_STRING,
+                                                    correctZone: NON_EMPTY_STRING
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            },
+                            {
+                                if: { properties: { type: { const: 'capital' } } },
+                                then: {
+                                    required: ['rows'],
+                                    properties: {
+                                        rows: {
+                                            type: 'array',
+                                            minItems: 1,
+                                            items: {
+                                                type: 'object',
+                                                required: ['key', 'label', 'correct', 'options'],
+                                                properties: {
+                                                    key: NON_EMPTY_STRING,
+                                                    label: NON_EMPTY_STRING,
+                                                    correct: NON_EMPTY_STRING,
+                                                    options: OPTION_LIST
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        ]
+                    }
+                }
+            }
+        },
+
+        check(data, add) {
+            checkUnique(data.sections, 'id', 'sections', 'Abschnitts-ID', add);
+            // Karten werden seitenweit per data-card-id gesucht → global eindeutig
+            const cardIds = new Set();
+            listOf(data.sections).forEach((section, sIdx) => {
+                if (!section) return;
+                const base = joinPath('sections', sIdx);
+                if (section.type === 'quiz') {
+                    checkUnique(section.questions, 'id', joinPath(base, 'questions'), 'Fragen-ID', add);
+                    listOf(section.questions).forEach((q, qIdx) => {
+                        if (!q || q.correct === undefined) return;
+                        if (!optionValues(q.options).includes(String(q.correct))) {
+                            add(joinPath(joinPath(base, `questions[${qIdx}]`), 'correct'),
+                                `"${q.correct}" ist keine der Antwortoptionen`);
+                        }
+                    });
+                } else if (section.type === 'sort') {
+                    const zones = listOf(section.sortColumns).map(c => c && c.zone);
+                    listOf(section.sortCards).forEach((card, cIdx) => {
+                        if (!card) return;
+                        const at = joinPath(base, `sortCards[${cIdx}]`);
+                        if (card.correctZone !== undefined && !zones.includes(card.correctZone)) {
+                            add(joinPath(at, 'correctZone'), `unbekannte Zone "${card.correctZone}"`);
+                        }
+                        if (card.id !== undefined) {
+                            if (cardIds.has(card.id)) add(joinPath(at, 'id'), `Karten-ID "${card.id}" ist doppelt`);
+                            cardIds.add(card.id);
+                        }
+                    });
+                } else if (section.type === 'capital') {
+                    checkUnique(section.rows, 'key', joinPath(base, 'rows'), 'Zeilen-Key', add);
+                    listOf(section.rows).forEach((row, rIdx) => {
+                        if (!row || row.correct === undefined) return;
+                        if (!optionValues(row.options).includes(String(row.correct))) {
+                            add(joinPath(joinPath(base, `rows[${rIdx}]`), 'correct'),
+                                `"${row.correct}" ist keine der Auswahloptionen`);
+                        }
+                    });
+                }
+            });
+        },
+
+        shuffle(data, shuffle) {
+            if (!Array.isArray(data.sections)) return;
+            data.sections = shuffle(data.sections).map(s => {
+                if (s.type === 'quiz' && Array.isArray(s.questions)) {
+                    s.questions = shuffle(s.questions).map(q => {
+                        if (Array.isArray(q.options)) q.options = shuffle(q.options);
+                        return q;
+                    });
+                }
+                if (s.type === 'sort' && Array.isArray(s.sortCards)) s.sortCards = shuffle(s.sortCards);
+                if (s.type === 'capital' && Array.isArray(s.rows)) {
+                    s.rows = shuffle(s.rows).map(r => {
+                        if (Array.isArray(r.options)) r.options = shuffle(r.options);
+                        return r;
+                    });
+                }
+                return s;
+            });
+        },
+
+        // Items = alle Aufgaben aller Abschnitte
+        items(data) {
+            return listOf(data.sections).reduce((acc, section) => {
+                if (!section) return acc;
+                listOf(section.questions).forEach(q => acc.push({ id: `${section.id}/${q && q.id}`, texts: [q && q.text] }));
+                listOf(section.sortCards).forEach(c => acc.push({ id: `${section.id}/${c && c.id}`, texts: [c && c.text] }));
+                listOf(section.rows).forEach(r => acc.push({ id: `${section.id}/${r && r.key}`, texts: [r && r.label] }));
+                return acc;
+            }, []);
+        },
+
+        searchTexts(data) {
+            return listOf(data.sections).map(section => section && section.title);
+        },
+
+        sectionCount(data) {
+            return Array.isArray(data.sections) ? data.sections.length : null;
+        },
+
+        // Nur Abschnitte vom Typ "quiz"
+        examQuestions(data, fileId) {
+            const out = [];
+            listOf(data.sections).forEach(section => {
+                if (!section || section.type !== 'quiz') return;
+                listOf(section.questions).forEach(q => {
+                    if (!q || !q.text || !Array.isArray(q.options)) return;
+                    out.push({
+                        text: q.text,
+                        options: q.options.map(o => ({ value: String(o.value), text: o.text })),
+                        correct: String(q.correct),
+                        source: `${fileId}#${section.id}/${q.id}`
+                    });
+                });
+            });
+            return out;
+        }
+    });
+})(typeof window !== 'undefined' ? window : this);
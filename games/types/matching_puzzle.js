@@ -0,0 +1,84 @@
+/**
+ * ============================================================================
+ * types/matching_puzzle.js - Spieltyp "matching_puzzle" (Matching-Puzzle)
+ * ============================================================================
+ *
+ * Drei zusammengehörige Karten (Begriff, Beschreibung, Beispiel) finden.
+ * Felder siehe games/game_registry.js (TYP-MODUL).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const GameSchemas = isNode ? require('../game_schemas.js') : root.GameSchemas;
+    const GameRegistry = isNode ? require('../game_registry.js') : root.GameRegistry;
+    const { NON_EMPTY_STRING, TEXT } = GameSchemas.fragments;
+    const { listOf, checkUnique } = GameSchemas.helpers;
+
+    const COLUMN_TEXTS = {
+        type: 'object',
+        properties: { column1: TEXT, column2: TEXT, column3: TEXT }
+    };
+
+    GameRegistry.register({
+        id: 'matching_puzzle',
+        name: 'Matching-Puzzle',
+        badge: 'MP',
+        icon: '🧩',
+        unit: ['Set', 'Sets'],
+        template: 'matching_puzzle.html',
+        minutesPerItem: 0.5,
+
+        schema: {
+            type: 'object',
+            required: ['game_type', 'title', 'sets'],
+            properties: {
+                game_type: { const: 'matching_puzzle' },
+                title: NON_EMPTY_STRING,
+                schema_version: { type: 'string' },
+                subtitle: { type: 'string' },
+                columnTitles: COLUMN_TEXTS,
+                columnHints: COLUMN_TEXTS,
+                sets: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id'],
+                        properties: {
+                            id: TEXT,
+                            name: TEXT,
+                            description: TEXT,
+                            example: TEXT,
+                            col1: TEXT,
+                            col2: TEXT,
+                            col3: TEXT
+                        },
+                        anyOf: [
+                            { required: ['name', 'description', 'example'] },
+                            { required: ['col1', 'col2', 'col3'] }
+                        ]
+                    }
+                }
+            }
+        },
+
+        check(data, add) {
+            checkUnique(data.sets, 'id', 'sets', 'Set-ID', add);
+        },
+
+        shuffle(data, shuffle) {
+            if (Array.isArray(data.sets)) data.sets = shuffle(data.sets);
+        },
+
+        items(data) {
+            return listOf(data.sets).map(set => set && {
+                id: set.id,
+                texts: [set.name || set.col1, set.description || set.col2]
+            });
+        }
+    });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ * types/quick_quiz.js - Spieltyp "quick_quiz" (Quick-Quiz)
+ * ============================================================================
+ *
+ * Eine Frage, feste Antwort-Buttons (answerLabels), Zeitlimit pro Frage.
+ * Felder siehe games/game_registry.js (TYP-MODUL).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const GameSchemas = isNode ? require('../game_schemas.js') : root.GameSchemas;
+    const GameRegistry = isNode ? require('../game_registry.js') : root.GameRegistry;
+    const { NON_EMPTY_STRING } = GameSchemas.fragments;
+    const { listOf } = GameSchemas.helpers;
+
+    GameRegistry.register({
+        id: 'quick_quiz',
+        name: 'Quick-Quiz',
+        badge: 'QQ',
+        icon: '⚡',
+        unit: ['Frage', 'Fragen'],
+        template: 'quick_quiz.html',
+        minutesPerItem: 0.5,
+
+        schema: {
+            type: 'object',
+            required: ['game_type', 'title', 'answerLabels', 'questions'],
+            properties: {
+                game_type: { const: 'quick_quiz' },
+                title: NON_EMPTY_STRING,
+                introText: { type: 'string' },
+                sublineText: { type: 'string' },
+                timePerQuestionSeconds: { type: 'number', minimum: 1 },
+                answerLabels: {
+                    type: 'array',
+                    minItems: 2,
+                    items: NON_EMPTY_STRING
+                },
+                questions: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['text', 'correct'],
+                        properties: {
+                            text: NON_EMPTY_STRING,
+                            correct: NON_EMPTY_STRING
+                        }
+                    }
+                }
+            }
+        },
+
+        check(data, add) {
+            const labels = listOf(data.answerLabels);
+            const seen = new Set();
+            labels.forEach((label, idx) => {
+                if (seen.has(label)) add(`answerLabels[${idx}]`, `Antwort "${label}" ist doppelt`);
+                seen.add(label);
+            });
+            listOf(data.questions).forEach((q, idx) => {
+                if (q && typeof q.correct === 'string' && labels.length > 0 && !labels.includes(q.correct)) {
+                    add(`questions[${idx}].correct`, `"${q.correct}" ist keins der answerLabels`);
+                }
+            });
+        },
+
+        shuffle(data, shuffle) {
+            if (!Array.isArray(data.questions)) return;
+            data.questions = shuffle(data.questions);
+            if (Array.isArray(data.answerLabels)) data.answerLabels = shuffle(data.answerLabels);
+        },
+
+        items(data) {
+            return listOf(data.questions).map(q => q && { id: q.id || q.text, texts: [q.text] });
+        },
+
+        // Mit Zeitlimit: Fragen × Sekunden pro Frage
+        estimateMinutes(data, itemCount) {
+            const seconds = Number(data.timePerQuestionSeconds);
+            return seconds > 0 ? Math.max(1, Math.ceil((itemCount * seconds) / 60)) : null;
+        },
+
+        // Frage + answerLabels als Antwortoptionen
+        examQuestions(data, fileId) {
+            if (!Array.isArray(data.answerLabels)) return [];
+            const options = data.answerLabels.map(label => ({ value: String(label), text: String(label) }));
+            const out = [];
+            listOf(data.questions).forEach((q, idx) => {
+                if (!q || !q.text || !data.answerLabels.includes(q.correct)) return;
+                out.push({ text: q.text, options, correct: String(q.correct), source: `${fileId}#${idx}` });
+            });
+            return out;
+        }
+    });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,100 @@
+/**
+ * ============================================================================
+ * types/sortier_spiel.js - Spieltyp "sortier_spiel" (Sortier-Spiel)
+ * ============================================================================
+ *
+ * Eigenschaften per Drag & Drop in alle passenden Spalten ziehen.
+ * Ältere Schlüssel (forms, properties, ...) übersetzt sortier_spiel_payload.js;
+ * das Schema prüft nur, dass überhaupt Spalten und Karten vorhanden sind.
+ * Felder siehe games/game_registry.js (TYP-MODUL).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const GameSchemas = isNode ? require('../game_schemas.js') : root.GameSchemas;
+    const GameRegistry = isNode ? require('../game_registry.js') : root.GameRegistry;
+    const { NON_EMPTY_STRING, TEXT } = GameSchemas.fragments;
+    const { listOf, checkUnique } = GameSchemas.helpers;
+
+    GameRegistry.register({
+        id: 'sortier_spiel',
+        name: 'Sortier-Spiel',
+        badge: 'SS',
+        icon: '🗂️',
+        unit: ['Karte', 'Karten'],
+        template: 'sortier_spiel.html',
+        minutesPerItem: 0.3,
+
+        schema: {
+            type: 'object',
+            required: ['game_type', 'title'],
+            properties: {
+                game_type: { const: 'sortier_spiel' },
+                title: NON_EMPTY_STRING,
+                description: { type: 'string' },
+                columns: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id', 'title'],
+                        properties: {
+                            id: TEXT,
+                            title: NON_EMPTY_STRING,
+                            subtitle: { type: 'string' }
+                        }
+                    }
+                },
+                cards: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id', 'text', 'correctForms'],
+                        properties: {
+                            id: TEXT,
+                            text: NON_EMPTY_STRING,
+                            correctForms: { type: 'array', minItems: 1, items: TEXT }
+                        }
+                    }
+                }
+            },
+            allOf: [
+                { anyOf: [{ required: ['columns'] }, { required: ['forms'] }, { required: ['legalForms'] }] },
+                { anyOf: [{ required: ['cards'] }, { required: ['properties'] }, { required: ['items'] }] }
+            ]
+        },
+
+        check(data, add) {
+            // Nur das aktuelle Format; alte Schlüssel prüft der Payload-Adapter
+            if (!Array.isArray(data.columns) || !Array.isArray(data.cards)) return;
+            checkUnique(data.columns, 'id', 'columns', 'Spalten-ID', add);
+            checkUnique(data.cards, 'id', 'cards', 'Karten-ID', add);
+            const columnIds = data.columns.map(c => c && String(c.id));
+            data.cards.forEach((card, idx) => {
+                listOf(card && card.correctForms).forEach((ref, rIdx) => {
+                    if (!columnIds.includes(String(ref))) {
+                        add(`cards[${idx}].correctForms[${rIdx}]`, `unbekannte Spalte "${ref}"`);
+                    }
+                });
+            });
+        },
+
+        shuffle(data, shuffle) {
+            if (!Array.isArray(data.cards)) return;
+            data.cards = shuffle(data.cards);
+            if (Array.isArray(data.columns)) data.columns = shuffle(data.columns);
+        },
+
+        items(data) {
+            return listOf(data.cards || data.properties || data.items).map(card => card && {
+                id: card.id,
+                texts: [card.text || card.label || card.name]
+            });
+        }
+    });
+})(typeof window !== 'undefined' ? window : this);
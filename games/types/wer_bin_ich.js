@@ -0,0 +1,127 @@
+/**
+ * ============================================================================
+ * types/wer_bin_ich.js - Spieltyp "wer_bin_ich" (Wer bin ich?)
+ * ============================================================================
+ *
+ * Geheimen Begriff aus einem Item-Pool durch Ja/Nein-Fragen erraten.
+ * Felder siehe games/game_registry.js (TYP-MODUL).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const GameSchemas = isNode ? require('../game_schemas.js') : root.GameSchemas;
+    const GameRegistry = isNode ? require('../game_registry.js') : root.GameRegistry;
+    const { NON_EMPTY_STRING, TEXT } = GameSchemas.fragments;
+    const { listOf, checkUnique, validateValue } = GameSchemas.helpers;
+
+    const findItemPoolKey = GameSchemas.findItemPoolKey;
+
+    const WBI_ITEM = {
+        type: 'object',
+        required: ['id', 'name', 'attributes'],
+        properties: {
+            id: TEXT,
+            name: NON_EMPTY_STRING,
+            attributes: { type: 'object', additionalProperties: { type: 'boolean' } }
+        }
+    };
+
+    GameRegistry.register({
+        id: 'wer_bin_ich',
+        name: 'Wer bin ich?',
+        badge: 'WBI',
+        icon: '🕵️',
+        unit: ['Begriff', 'Begriffe'],
+        template: 'wer_bin_ich.html',
+        minutesPerItem: 0.5,
+
+        schema: {
+            type: 'object',
+            required: ['game_type', 'title', 'questions'],
+            properties: {
+                game_type: { const: 'wer_bin_ich' },
+                title: NON_EMPTY_STRING,
+                secretHintText: { type: 'string' },
+                itemsKey: NON_EMPTY_STRING,
+                items: { type: 'array', items: WBI_ITEM },
+                legalForms: { type: 'array', items: WBI_ITEM },
+                leadershipStyles: { type: 'array', items: WBI_ITEM },
+                questions: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id', 'text', 'attributeKey'],
+                        properties: {
+                            id: TEXT,
+                            hotkey: { type: 'string' },
+                            text: NON_EMPTY_STRING,
+                            attributeKey: NON_EMPTY_STRING
+                        }
+                    }
+                }
+            },
+            anyOf: [
+                { required: ['itemsKey'] },
+                { required: ['items'] },
+                { required: ['legalForms'] },
+                { required: ['leadershipStyles'] }
+            ]
+        },
+
+        check(data, add) {
+            const poolKey = findItemPoolKey(data);
+            if (!poolKey) {
+                if (typeof data.itemsKey === 'string') {
+                    add('itemsKey', `verweist auf "${data.itemsKey}", dort steht aber keine Liste`);
+                }
+                return;
+            }
+            const pool = data[poolKey];
+            if (pool.length === 0) {
+                add(poolKey, 'der Item-Pool ist leer');
+                return;
+            }
+            // Aliase ohne Schema-Eintrag (über itemsKey) hier nachprüfen
+            if (!this.schema.properties[poolKey]) {
+                const errors = [];
+                validateValue(pool, { type: 'array', items: WBI_ITEM }, poolKey, errors);
+                errors.forEach(e => add(e.path, e.message));
+            }
+            checkUnique(pool, 'id', poolKey, 'Item-ID', add);
+
+            const knownKeys = new Set();
+            pool.forEach(item => {
+                if (item && item.attributes && typeof item.attributes === 'object') {
+                    Object.keys(item.attributes).forEach(key => knownKeys.add(key));
+                }
+            });
+            checkUnique(data.questions, 'id', 'questions', 'Fragen-ID', add);
+            listOf(data.questions).forEach((q, idx) => {
+                if (q && typeof q.attributeKey === 'string' && !knownKeys.has(q.attributeKey)) {
+                    add(`questions[${idx}].attributeKey`, `"${q.attributeKey}" kommt bei keinem Item in "attributes" vor`);
+                }
+            });
+        },
+
+        shuffle(data, shuffle) {
+            const poolKey = findItemPoolKey(data);
+            if (poolKey) data[poolKey] = shuffle(data[poolKey]);
+            if (Array.isArray(data.questions)) data.questions = shuffle(data.questions);
+        },
+
+        // Die Ja/Nein-Fragen sind durchsuchbar, aber keine Lern-Items
+        searchTexts(data) {
+            return listOf(data.questions).map(q => q && q.text);
+        },
+
+        items(data) {
+            const poolKey = findItemPoolKey(data);
+            return poolKey ? data[poolKey].map(item => item && { id: item.id, texts: [item.name] }) : [];
+        }
+    });
+})(typeof window !== 'undefined' ? window : this);
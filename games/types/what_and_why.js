@@ -0,0 +1,126 @@
+/**
+ * ============================================================================
+ * types/what_and_why.js - Spieltyp "what_and_why" (What & Why)
+ * ============================================================================
+ *
+ * Fallprofil → richtige Lösung wählen und mit Begründungen absichern.
+ * Felder siehe games/game_registry.js (TYP-MODUL).
+ *
+ * ============================================================================
+ */
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const GameSchemas = isNode ? require('../game_schemas.js') : root.GameSchemas;
+    const GameRegistry = isNode ? require('../game_registry.js') : root.GameRegistry;
+    const { NON_EMPTY_STRING, TEXT } = GameSchemas.fragments;
+    const { listOf, joinPath, checkUnique } = GameSchemas.helpers;
+
+    GameRegistry.register({
+        id: 'what_and_why',
+        name: 'What & Why',
+        badge: 'WAW',
+        icon: '🧭',
+        unit: ['Fall', 'Fälle'],
+        template: 'what_and_why.html',
+        minutesPerItem: 1.5,
+
+        schema: {
+            type: 'object',
+            required: ['game_type', 'title', 'cases'],
+            properties: {
+                game_type: { const: 'what_and_why' },
+                title: NON_EMPTY_STRING,
+                description: { type: 'string' },
+                cases: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id', 'profile', 'options'],
+                        properties: {
+                            id: TEXT,
+                            profile: NON_EMPTY_STRING,
+                            tags: { type: 'array', items: { type: 'string' } },
+                            solution: { type: 'string' },
+                            options: {
+                                type: 'array',
+                                minItems: 1,
+                                items: {
+                                    type: 'object',
+                                    required: ['id', 'label', 'isCorrect', 'whys'],
+                                    properties: {
+                                        id: TEXT,
+                                        label: NON_EMPTY_STRING,
+                                        isCorrect: { type: 'boolean' },
+                                        whys: {
+                                            type: 'array',
+                                            minItems: 1,
+                                            items: {
+                                                type: 'object',
+                                                required: ['id', 'text', 'correct'],
+                                                properties: {
+                                                    id: TEXT,
+                                                    text: NON_EMPTY_STRING,
+                                                    correct: { type: 'boolean' }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        check(data, add) {
+            checkUnique(data.cases, 'id', 'cases', 'Fall-ID', add);
+            listOf(data.cases).forEach((c, idx) => {
+                if (!c || !Array.isArray(c.options)) return;
+                const base = `cases[${idx}]`;
+                checkUnique(c.options, 'id', joinPath(base, 'options'), 'Options-ID', add);
+                if (!c.options.some(o => o && o.isCorrect === true)) {
+                    add(joinPath(base, 'options'), 'keine Option ist als richtig markiert (isCorrect)');
+                }
+            });
+        },
+
+        shuffle(data, shuffle) {
+            if (!Array.isArray(data.cases)) return;
+            data.cases = shuffle(data.cases).map(c => {
+                if (Array.isArray(c.options)) {
+                    c.options = shuffle(c.options).map(o => {
+                        if (Array.isArray(o.whys)) o.whys = shuffle(o.whys);
+                        return o;
+                    });
+                }
+                return c;
+            });
+        },
+
+        items(data) {
+            return listOf(data.cases).map(c => c && { id: c.id, texts: [c.profile], tags: listOf(c.tags) });
+        },
+
+        // Fallprofil + Lösungsoptionen, ohne Begründungen
+        examQuestions(data, fileId) {
+            const out = [];
+            listOf(data.cases).forEach(c => {
+                const options = (c && Array.isArray(c.options)) ? c.options : [];
+                const right = options.find(o => o && o.isCorrect === true);
+                if (!c || !c.profile || options.length < 2 || !right) return;
+                out.push({
+                    text: c.profile,
+                    options: options.map(o => ({ value: String(o.id), text: o.label })),
+                    correct: String(right.id),
+                    source: `${fileId}#${c.id}`
+                });
+            });
+            return out;
+        }
+    });
+})(typeof window !== 'undefined' ? window : this);
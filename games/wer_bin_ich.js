@@ -7,6 +7,12 @@
  * Hauptlogik für das "Wer bin ich?"-Ratespiel. Erweitert GameBase.
  * Dynamisch konfigurierbar über JSON für verschiedene Themen (Rechtsformen, Tiere, etc.).
  * 
+ * ITEM-POOL:
+ * Die ratbaren Items ({id, name, attributes}) stehen in "items" oder in dem
+ * Feld, das "itemsKey" benennt (z. B. "itemsKey": "leadershipStyles").
+ * Ohne Angabe gelten die Aliase aus GameBase.ITEM_POOL_ALIASES
+ * ("legalForms", "leadershipStyles").
+ * 
  * ============================================================================
  */
 
@@ -21,7 +27,7 @@
             });
 
             // Spiel-Daten (aus JSON)
-            this.legalForms = [];     // Array von {id, name, attributes: {...}}
+            this.legalForms = [];     // Item-Pool: Array von {id, name, attributes: {...}}
             this.questions = [];      // Array von {id, text, hotkey, attributeKey}
             this.configData = {};     // Full JSON data
 
@@ -29,6 +35,8 @@
             this.secretForm = null;   // Aktuell geheimes Item
             this.questionCount = 0;   // Anzahl gestellter Fragen
             this.gameOver = false;    // Spiel gewonnen?
+            this.wrongGuesses = 0;    // Falsche Rateversuche in dieser Runde
+            this.askedQuestionIds = []; // Gestellte Fragen (Reihenfolge, für den Spielstand)
 
             // DOM-Referenzen
             this.questionListEl = null;
@@ -70,10 +78,8 @@
             this.guessSectionTitleEl = document.getElementById('guess-section-title');
             this.poolSectionTitleEl = document.getElementById('pool-section-title');
 
-            // 2. Daten laden (Legal Forms = Generic Items)
-            if (Array.isArray(data.legalForms)) {
-                this.legalForms = data.legalForms;
-            }
+            // 2. Daten laden (Item-Pool, z. B. legalForms / leadershipStyles)
+            this.legalForms = this.resolveItemPool(data);
             if (Array.isArray(data.questions)) {
                 this.questions = data.questions;
             }
@@ -105,6 +111,32 @@
             this.startNewGame();
         }
 
+        /**
+         * Liefert den Item-Pool oder wirft einen verständlichen Fehler
+         */
+        resolveItemPool(data) {
+            const key = GameBase.findItemPoolKey(data);
+            if (!key) {
+                if (typeof data.itemsKey === 'string' && data.itemsKey !== '') {
+                    throw new Error(`"itemsKey" verweist auf "${data.itemsKey}", dort liegt aber keine Liste.`);
+                }
+                throw new Error(
+                    'Kein Item-Pool gefunden. Erwartet wird "items" (oder "itemsKey": "<Feldname>"). ' +
+                    'Bekannte Alternativen: ' + GameBase.ITEM_POOL_ALIASES.filter(k => k !== 'items').join(', ') + '.'
+                );
+            }
+
+            const items = data[key];
+            if (items.length === 0) {
+                throw new Error(`Der Item-Pool "${key}" ist leer.`);
+            }
+            const invalid = items.findIndex(item => !item || item.id === undefined || !item.name);
+            if (invalid !== -1) {
+                throw new Error(`${key}[${invalid}]: Jedes Item braucht "id" und "name".`);
+            }
+            return items;
+        }
+
         /**
          * Wendet konfigurierbare UI-Labels an
          */
@@ -153,9 +185,11 @@
             }
         }
 
+        /**
+         * Wählt das geheime Item aus der Fälligkeits-Warteschlange (Leitner)
+         */
         pickRandomForm() {
-            const idx = Math.floor(Math.random() * this.legalForms.length);
-            return this.legalForms[idx];
+            return this.pickDue(this.legalForms, form => form.id, this.secretForm || undefined);
         }
 
         resetAnswerButtons() {
@@ -195,6 +229,7 @@
             if (btnEl) btnEl.classList.add('used');
 
             this.questionCount++;
+            this.askedQuestionIds.push(question.id);
             this.updateQuestionCount();
 
             const answerIsYes = this.evaluateQuestion(question, this.secretForm);
@@ -204,6 +239,7 @@
                 (answerIsYes ? 'Ja' : 'Nein') + ' – ' + question.text;
 
             this.addHistoryEntry(question, answerIsYes);
+            this.saveSession();
         }
 
         evaluateQuestion(question, form) {
@@ -218,15 +254,6 @@
             return false;
         }
 
-        shuffleArray(arr) {
-            const copy = [...arr];
-            for (let i = copy.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [copy[i], copy[j]] = [copy[j], copy[i]];
-            }
-            return copy;
-        }
-
         initQuestionButtons() {
             this.questionListEl.innerHTML = '';
             const shuffledInputs = this.shuffleArray(this.questions);
@@ -234,6 +261,7 @@
                 const btn = document.createElement('button');
                 btn.className = 'question-btn';
                 btn.type = 'button';
+                btn.dataset.questionId = q.id;
 
                 const spanText = document.createElement('span');
                 spanText.className = 'text';
@@ -284,16 +312,23 @@
             if (guessedForm.id === this.secretForm.id) {
                 // WIN
                 this.gameOver = true;
+                // Gewusst, wenn ohne falschen Rateversuch gelöst
+                this.recordItemResult(this.secretForm.id, this.wrongGuesses === 0);
+                // Volle Punktzahl nur ohne Fehlversuch
+                this.reportResult({ score: this.wrongGuesses === 0 ? 1 : 0, maxScore: 1, completed: true });
                 this.guessFeedbackEl.textContent = `Richtig! Es war: ${this.secretForm.name}. Starte eine neue Runde.`;
                 this.guessFeedbackEl.className = 'success';
 
                 // Reveal in hint
                 this.updateSecretHint(true);
+                this.clearSession();
 
             } else {
                 // LOSE
+                this.wrongGuesses++;
                 this.guessFeedbackEl.textContent = 'Leider falsch. Versuche es weiter.';
                 this.guessFeedbackEl.className = 'error';
+                this.saveSession();
             }
         }
 
@@ -322,6 +357,41 @@
             });
         }
 
+        /**
+         * Spielstand: geheimes Item, Reihenfolge der Fragen und bisher gestellte Fragen
+         */
+        getSaveState() {
+            if (!this.secretForm || this.gameOver) return null;
+            return {
+                secretId: this.secretForm.id,
+                questionOrder: [...this.questionListEl.querySelectorAll('.question-btn')].map(btn => btn.dataset.questionId),
+                askedQuestionIds: this.askedQuestionIds,
+                wrongGuesses: this.wrongGuesses
+            };
+        }
+
+        restoreSaveState(state) {
+            if (!state) return;
+            const secret = this.legalForms.find(form => form.id === state.secretId);
+            if (!secret) throw new Error('Gespeichertes geheimes Item nicht gefunden.');
+
+            const buttons = [...this.questionListEl.querySelectorAll('.question-btn')];
+            (state.questionOrder || []).forEach(id => {
+                const btn = buttons.find(b => b.dataset.questionId === String(id));
+                if (btn) this.questionListEl.appendChild(btn);
+            });
+
+            this.secretForm = secret;
+            this.wrongGuesses = state.wrongGuesses || 0;
+
+            // Fragen erneut stellen: baut Verlauf, Zähler und Markierungen wieder auf
+            (state.askedQuestionIds || []).forEach(id => {
+                const question = this.questions.find(q => String(q.id) === String(id));
+                const btn = buttons.find(b => b.dataset.questionId === String(id));
+                if (question) this.askQuestion(question, btn);
+            });
+        }
+
         startNewGame() {
             if (this.legalForms.length === 0) {
                 this.answerTextEl.textContent = 'Keine Daten verfügbar.';
@@ -331,6 +401,9 @@
             this.secretForm = this.pickRandomForm();
             this.questionCount = 0;
             this.gameOver = false;
+            this.wrongGuesses = 0;
+            this.askedQuestionIds = [];
+            this.startRun();
 
             this.updateQuestionCount();
             this.resetAnswerButtons();
@@ -352,6 +425,10 @@
             const usedButtons = document.querySelectorAll('.question-btn.used');
             usedButtons.forEach(btn => btn.classList.remove('used'));
         }
+
+        onRestart() {
+            this.startNewGame();
+        }
     }
 
     if (document.readyState === 'loading') {
@@ -37,6 +37,7 @@
             this.scoreWhat = 0;           // Punkte für richtige What-Wahl
             this.scoreWhy = 0;            // Punkte für richtige Why-Begründungen
             this.evaluated = false;       // Aktueller Fall bewertet?
+            this.finished = false;        // Auswertung angezeigt?
             this.selectedWhatId = null;   // Aktuell gewählte What-Option
 
             // DOM-Referenzen
@@ -150,17 +151,10 @@
             }
         }
 
-        shuffleArray(arr) {
-            const a = arr.slice();
-            for (let i = a.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [a[i], a[j]] = [a[j], a[i]];
-            }
-            return a;
-        }
-
         initOrder() {
-            this.order = this.shuffleArray(this.cases.map((c, idx) => idx));
+            // Gemischt, aber fällige Fälle (Leitner) zuerst
+            const shuffled = this.shuffleArray(this.cases.map((c, idx) => idx));
+            this.order = this.sortByDue(shuffled, idx => this.cases[idx].id);
         }
 
         getCurrentCase() {
@@ -355,9 +349,15 @@
 
             // Score aktualisieren
             const gained = whatPoints + whyPoints;
+            this.recordItemResult(c.id, gained === 2);
             this.scoreFormEl.textContent = this.scoreWhat;
             this.scoreReasonEl.textContent = this.scoreWhy;
             this.scoreTotalEl.textContent = this.scoreWhat + this.scoreWhy;
+            this.reportResult({
+                score: this.scoreWhat + this.scoreWhy,
+                maxScore: this.cases.length * 2,
+                completed: false
+            });
 
             // Feedback (Uses Generic Labels if possible)
             const feedbackLabels = this.configData.uiLabels?.feedback || {
@@ -387,6 +387,7 @@
             }
 
             this.evaluated = true;
+            this.saveSession();
             this.checkBtn.innerHTML =
                 this.currentIndex < this.cases.length - 1
                     ? '<span>➡</span> Nächster Fall'
@@ -408,6 +409,10 @@
             this.feedbackBoxEl.className = 'feedback';
             this.feedbackBoxEl.textContent = 'Spiel beendet.';
             this.checkBtn.disabled = true;
+            this.finished = true;
+
+            this.reportResult({ score: total, maxScore: maxTotal, completed: true });
+            this.clearSession();
         }
 
         nextStep() {
@@ -417,16 +422,23 @@
                 if (this.currentIndex < this.cases.length - 1) {
                     this.currentIndex += 1;
                     this.renderCase();
+                    this.saveSession();
                 } else {
                     this.showFinalSummary();
                 }
             }
         }
 
+        onRestart() {
+            this.restart();
+        }
+
         restart() {
             this.scoreWhat = 0;
             this.scoreWhy = 0;
             this.currentIndex = 0;
+            this.finished = false;
+            this.startRun();
             this.scoreFormEl.textContent = '0';
             this.scoreReasonEl.textContent = '0';
             this.scoreTotalEl.textContent = '0';
@@ -434,6 +446,43 @@
             this.initOrder();
             this.renderCase();
         }
+
+        /**
+         * Spielstand: Fall-Reihenfolge, Punkte und der nächste offene Fall.
+         * Ein bereits bewerteter Fall wird beim Fortsetzen übersprungen.
+         */
+        getSaveState() {
+            if (this.finished || this.cases.length === 0) return null;
+            return {
+                order: this.order,
+                currentIndex: this.evaluated ? this.currentIndex + 1 : this.currentIndex,
+                scoreWhat: this.scoreWhat,
+                scoreWhy: this.scoreWhy
+            };
+        }
+
+        restoreSaveState(state) {
+            if (!state || !Array.isArray(state.order)) return;
+            const valid = state.order.length === this.cases.length &&
+                state.order.every(idx => Number.isInteger(idx) && idx >= 0 && idx < this.cases.length);
+            if (!valid) throw new Error('Gespeicherte Fall-Reihenfolge passt nicht zu den Fällen.');
+
+            this.order = state.order;
+            this.scoreWhat = state.scoreWhat || 0;
+            this.scoreWhy = state.scoreWhy || 0;
+            this.scoreFormEl.textContent = this.scoreWhat;
+            this.scoreReasonEl.textContent = this.scoreWhy;
+            this.scoreTotalEl.textContent = this.scoreWhat + this.scoreWhy;
+
+            if (state.currentIndex >= this.cases.length) {
+                // Letzter Fall war schon bewertet – direkt zur Auswertung
+                this.currentIndex = this.cases.length - 1;
+                this.showFinalSummary();
+                return;
+            }
+            this.currentIndex = Math.max(0, state.currentIndex || 0);
+            this.renderCase();
+        }
     }
 
     if (document.readyState === 'loading') {
@@ -10,6 +10,9 @@
     // --- 1. Global Setup & State ---
     const THEME_KEY = 'globalTheme_v1';
     const STATE_KEY = 'paukerAppState_v1';
+    const REMOTE_INDEX_KEY = 'paukerRemoteIndex_v2';
+    const GAME_SESSION_PREFIX = 'paukerSession_v1:';   // gespeicherte Spielstände (games/game_base.js)
+    const LEGACY_REMOTE_INDEX_KEY = 'pauker_remote_index_v1';   // Baum ohne SHAs, nicht zusammenführbar
 
     // UI References
     const themeToggleApp = document.getElementById('theme-toggle-app');
@@ -24,16 +27,65 @@
     const drawerTitleEl = document.getElementById('drawer-title');
     const drawerResizer = document.getElementById('drawer-resizer');
     const treeDrawer = document.getElementById('tree-drawer');
+    const searchInputEl = document.getElementById('tree-search');
+    const searchMetaEl = document.getElementById('search-meta');
+    const searchResultsEl = document.getElementById('search-results');
+    const treeFiltersEl = document.getElementById('tree-filters');
+    const storagePanelBtn = document.getElementById('storage-panel-btn');
+    const storagePanelEl = document.getElementById('storage-panel');
+    const storagePanelBodyEl = document.getElementById('storage-panel-body');
+    const gameStatusEl = document.getElementById('game-status');
+    const gameScoreEl = document.getElementById('game-score');
+    const gameSeedBtn = document.getElementById('game-seed-btn');
+    const gamePauseBtn = document.getElementById('game-pause-btn');
+    const gameRestartBtn = document.getElementById('game-restart-btn');
 
     // App State
     let appState = {
         selectedId: null,
         openedIds: [],
         drawerOpen: false,
-        drawerWidth: 320
+        drawerWidth: 320,
+        examSettings: { questionCount: 30, minutes: 45 },
+        filters: { types: [], states: [] }
     };
+    const DEFAULT_APP_STATE = JSON.parse(JSON.stringify(appState));
     let rootTree = [];
     let rootName = 'Database';
+    let activeDocViewer = null;      // eingebetteter PDF-Viewer (doc_viewer.js)
+    let activeGame = null;           // offenes Spiel-iframe: { iframe, node, result, paused, error, seed, shuffled, rawUrl }
+    let precacheResult = null;       // letzte Meldung 'precache-done' des Service Workers (Speicher-Panel)
+
+    // Volltextsuche
+    const SEARCH_MIN_CHARS = 2;
+    const SEARCH_MAX_RESULTS = 50;
+    let searchIndex = null;          // wird beim ersten Suchen aufgebaut
+    let searchMatchIds = new Set();  // Treffer-IDs für die Markierung im Baum
+    let searchQuery = '';
+    let searchTimer = null;
+    let searchPayloadsState = null;  // null | 'loading' | 'done' (Inhalte aus den Shards)
+
+    // Anzeige der Spieltypen (Kürzel, Name, Icon, Einheit) kommt aus den Typ-Modulen, siehe games/game_registry.js
+    const GameRegistry = window.GameRegistry;
+    const DOC_KIND_LABELS = { pdf: 'PDF', pptx: 'PPT', text: 'TXT', markdown: 'MD' };
+
+    // Filter-Chips im Drawer: innerhalb einer Gruppe ODER, zwischen Typ und Status UND
+    const STATE_FILTERS = {
+        unplayed: { label: 'Ungespielt', title: 'Noch nie gespielt' },
+        due: { label: 'Fällig', title: 'Gesehene Items sind zur Wiederholung fällig (Leitner)' },
+        failed: { label: 'Nicht bestanden', title: 'Letzter Versuch unter 50 %' }
+    };
+    let filterRenderTimer = null;
+
+    // Tastatur-Navigation im Baum (WAI-ARIA Tree, roving tabindex)
+    const TYPE_AHEAD_MS = 500;
+    let treeFocusId = null;          // Eintrag mit tabindex=0
+    let typeAheadBuffer = '';
+    let typeAheadTimer = null;
+
+    // Lernmodus: Kapitel-Dokument neben den Spielen aus dem Missionen-Ordner daneben
+    const STUDY_GAMES_FOLDER_RE = /^Missionen_/i;
+    const STUDY_DOC_KINDS = ['pdf', 'markdown', 'text'];   // in dieser Reihenfolge bevorzugt
 
     // --- 2. Theme Logic ---
     function applyTheme(theme) {
@@ -46,12 +98,14 @@
             themeToggleApp.textContent = '🌙';
         }
 
-        // Update iframe if exists
-        const iframe = document.querySelector('iframe.game-iframe');
-        if (iframe && iframe.contentDocument) {
-            if (theme === 'light') iframe.contentDocument.documentElement.classList.add('theme-light');
-            else iframe.contentDocument.documentElement.classList.remove('theme-light');
-        }
+        // Spiele per Nachricht mitziehen (auch bei fremdem Origin/sandbox)
+        document.querySelectorAll('iframe.game-iframe').forEach(iframe => {
+            GameBridge.post(iframe.contentWindow, 'setTheme', null, { theme });
+        });
+    }
+
+    function currentTheme() {
+        return document.documentElement.classList.contains('theme-light') ? 'light' : 'dark';
     }
 
     function initTheme() {
@@ -78,6 +132,10 @@
         drawerBackdrop.onclick = () => setDrawer(false);
 
         initResizer();
+        initSearch();
+        initTreeKeyboard();
+        initStoragePanel();
+        initGameBridge();
         applyDrawerState();
         initLocalApp();
     }
@@ -151,49 +209,238 @@
     }
 
     async function initLocalApp() {
-        // Zuerst im Cache (localStorage) nach einem dynamisch erstellten Index suchen
-        const cachedIndex = localStorage.getItem('pauker_remote_index_v1');
-        if (cachedIndex) {
-            try {
-                rootTree = JSON.parse(cachedIndex);
-            } catch (e) {
-                rootTree = window.DATABASE_INDEX || [];
-            }
-        } else {
-            rootTree = window.DATABASE_INDEX || [];
-        }
+        // Typ-Module (games/types/) vor Baum, Badges und Filtern registrieren
+        await GameRegistry.loadModules(window.GAME_TYPE_MODULES);
 
-        drawerTitleEl.textContent = rootName;
+        // Zuerst nach einem über die GitHub API erstellten Index suchen (siehe rebuildIndexFromGithub)
+        const remote = readRemoteIndex();
+        rootTree = remote
+            ? mergeRemoteIndex(remote.tree, window.DATABASE_INDEX || [])
+            : (window.DATABASE_INDEX || []);
 
-        treeRootEl.innerHTML = '';
-        buildTreeHelper(treeRootEl, rootTree, 0);
+        drawerTitleEl.textContent = rootName;
+        searchIndex = null;
+
+        renderTree();
+        registerServiceWorker();
+        connectDevServer();
+        window.addEventListener('popstate', onHistoryNavigate);
+        window.addEventListener('storage', onStorageChanged);
+
+        // Deep-Link (#id=...) hat Vorrang vor der zuletzt gewählten Datei
+        const linkedId = readIdFromHash();
+        if (linkedId) {
+            openNodeFromLink(linkedId);
+        } else if (appState.selectedId && findNode(rootTree, appState.selectedId)) {
+            selectNode(appState.selectedId, { history: 'replace' });
+        } else {
+            renderReadyView();
+        }
+    }
 
-        // Initial View
+    function renderReadyView() {
+        contentHeader.classList.remove('hidden');
         viewTitleEl.textContent = 'Bereit';
         viewPathEl.textContent = rootName;
         viewBodyEl.innerHTML = '<p style="padding:2rem; color:hsl(var(--txt-muted))">Bitte wähle eine Datei aus dem Menü.</p>';
         contentEl.classList.remove('full-screen');
         viewBodyEl.classList.remove('iframe-container');
         viewBodyEl.classList.add('card');
+    }
+
+    function renderNotFoundView(id) {
+        contentHeader.classList.remove('hidden');
+        contentEl.classList.remove('full-screen');
+        viewBodyEl.classList.remove('iframe-container');
+        viewBodyEl.classList.add('card');
+        viewTitleEl.textContent = 'Nicht gefunden';
+        viewPathEl.textContent = rootName;
+        viewBodyEl.innerHTML = `
+            <div style="padding: 2rem; text-align: center;">
+                <div style="font-size: 4rem; margin-bottom: 1rem;">🔍</div>
+                <h2>Eintrag nicht gefunden</h2>
+                <p style="color: hsl(var(--txt-muted)); margin-bottom: 0.5rem;">
+                    Der Link verweist auf eine Datei, die es (nicht mehr) gibt:
+                </p>
+                <p style="margin-bottom: 2rem;"><code>${escapeHtml(id)}</code></p>
+                <p style="color: hsl(var(--txt-muted));">
+                    Vielleicht wurde sie umbenannt oder verschoben. Nutze die Suche im Menü.
+                </p>
+            </div>
+        `;
+    }
 
+    function renderTree() {
+        renderFilterChips();
+        treeRootEl.innerHTML = '';
+        const nodes = filterTree(rootTree, createFilterPredicate());
+        if (nodes.length === 0 && rootTree.length > 0) {
+            treeRootEl.innerHTML = '<div class="tree-empty">Keine Einträge für diese Filter.</div>';
+        } else {
+            buildTreeHelper(treeRootEl, nodes, 0);
+        }
         applySelectedCss();
+    }
+
+    // --- Filter (Typ, Dokumentart, Lernstand) ---
+
+    function activeFilters() {
+        const f = appState.filters || {};
+        return {
+            types: Array.isArray(f.types) ? f.types : [],
+            states: Array.isArray(f.states) ? f.states.filter(s => STATE_FILTERS[s]) : []
+        };
+    }
 
-        // Restore last selected
-        if (appState.selectedId) {
-            const node = findNode(rootTree, appState.selectedId);
-            if (node) selectNode(node.id);
+    /**
+     * Filter-Typ eines Eintrags: game_type aus den Metadaten bzw. die Dokumentart.
+     */
+    function nodeFilterType(node) {
+        if (node.kind === 'json') return (node.meta && node.meta.game_type) || null;
+        return node.kind || null;
+    }
+
+    /**
+     * Baut die Prüffunktion für die aktiven Filter. Fortschritt und
+     * Leitner-Daten werden dafür einmal gelesen, nicht pro Knoten.
+     */
+    function createFilterPredicate() {
+        const { types, states } = activeFilters();
+        if (types.length === 0 && states.length === 0) return null;
+
+        const progress = window.ProgressStore ? window.ProgressStore.getAll() : {};
+        const dueIds = states.includes('due') && window.LeitnerStore ? window.LeitnerStore.getDueFileIds() : new Set();
+        const matchesState = (node, state) => {
+            const entry = progress[node.id] || null;
+            if (state === 'unplayed') return !entry;
+            if (state === 'failed') return !!window.ProgressStore && window.ProgressStore.failedLastTime(entry);
+            return dueIds.has(node.id);
+        };
+
+        return (node) => {
+            if (types.length > 0 && !types.includes(nodeFilterType(node))) return false;
+            if (states.length === 0) return true;
+            // Status gibt es nur für Spiele
+            return node.kind === 'json' && states.some(state => matchesState(node, state));
+        };
+    }
+
+    /**
+     * Gefilterte Kopie des Baums. Ordner ohne passende Einträge fallen weg –
+     * wie leere Ordner in tools/update_index.js.
+     */
+    function filterTree(nodes, predicate) {
+        if (!predicate) return nodes;
+        return nodes.reduce((out, node) => {
+            if (!node.isFolder) {
+                if (predicate(node)) out.push(node);
+                return out;
+            }
+            const children = filterTree(node.children || [], predicate);
+            if (children.length > 0) out.push({ ...node, children });
+            return out;
+        }, []);
+    }
+
+    /**
+     * Typ-Chips nur für Typen, die im Baum vorkommen.
+     */
+    function collectFilterTypes() {
+        const present = new Set();
+        (function walk(nodes) {
+            nodes.forEach(n => {
+                if (n.isFolder) walk(n.children || []);
+                else if (nodeFilterType(n)) present.add(nodeFilterType(n));
+            });
+        })(rootTree);
+        return [...GameRegistry.ids(), ...Object.keys(DOC_KIND_LABELS)].filter(t => present.has(t));
+    }
+
+    function renderFilterChips() {
+        if (!treeFiltersEl) return;
+        const filters = activeFilters();
+        treeFiltersEl.innerHTML = '';
+
+        const addChip = (label, title, pressed, onClick, extraClass) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip' + (extraClass ? ' ' + extraClass : '');
+            chip.textContent = label;
+            chip.title = title;
+            chip.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+            chip.onclick = onClick;
+            treeFiltersEl.appendChild(chip);
+        };
+        const addSeparator = () => {
+            const sep = document.createElement('span');
+            sep.className = 'filter-sep';
+            treeFiltersEl.appendChild(sep);
+        };
+
+        const types = collectFilterTypes();
+        if (types.length === 0) return;
+
+        types.forEach(type => {
+            const game = GameRegistry.get(type);
+            addChip(game ? game.badge : DOC_KIND_LABELS[type], game ? `${game.icon} ${game.name}` : 'Nur Dokumente: ' + DOC_KIND_LABELS[type],
+                filters.types.includes(type), () => toggleFilter('types', type));
+        });
+        addSeparator();
+        Object.keys(STATE_FILTERS).forEach(state => {
+            addChip(STATE_FILTERS[state].label, STATE_FILTERS[state].title,
+                filters.states.includes(state), () => toggleFilter('states', state));
+        });
+        if (filters.types.length > 0 || filters.states.length > 0) {
+            addChip('✕', 'Alle Filter zurücksetzen', false, resetFilters, 'filter-chip--reset');
         }
     }
 
+    function toggleFilter(group, value) {
+        const filters = activeFilters();
+        const list = filters[group];
+        filters[group] = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+        appState.filters = filters;
+        saveAppState();
+        renderTree();
+    }
+
+    function resetFilters() {
+        appState.filters = { types: [], states: [] };
+        saveAppState();
+        renderTree();
+    }
+
+    /**
+     * Spiele (iframe) schreiben Fortschritt und Leitner-Daten in den
+     * localStorage → Baum neu filtern, wenn ein Status-Filter aktiv ist.
+     */
+    function onStorageChanged(e) {
+        const keys = [window.ProgressStore && window.ProgressStore.STORAGE_KEY, window.LeitnerStore && window.LeitnerStore.STORAGE_KEY];
+        if (keys.includes(e.key)) onProgressChanged();
+    }
+
+    function onProgressChanged() {
+        if (activeFilters().states.length === 0) return;
+        clearTimeout(filterRenderTimer);
+        filterRenderTimer = setTimeout(renderTree, 500);
+    }
+
     function buildTreeHelper(container, nodes, level) {
         nodes.forEach(node => {
             const div = document.createElement('div');
             div.className = 'tree-node';
             div.dataset.id = node.id;
+            if (searchMatchIds.has(node.id)) div.classList.add('tree-node--match');
 
             const isCollapsed = !appState.openedIds.includes(node.id);
             if (isCollapsed) div.classList.add('tree-node--collapsed');
 
+            div.setAttribute('role', 'treeitem');
+            div.setAttribute('aria-level', String(level + 1));
+            div.setAttribute('aria-label', nodeTitle(node));
+            div.tabIndex = -1;
+            if (node.isFolder) div.setAttribute('aria-expanded', isCollapsed ? 'false' : 'true');
+
             const row = document.createElement('div');
             row.className = 'tree-row';
             row.style.setProperty('--level', level);
@@ -202,6 +449,8 @@
             if (node.isFolder) {
                 const btn = document.createElement('button');
                 btn.className = 'tree-toggle';
+                btn.tabIndex = -1;
+                btn.setAttribute('aria-hidden', 'true');
                 btn.textContent = isCollapsed ? '▸' : '▾';
                 btn.onclick = (e) => {
                     e.stopPropagation();
@@ -216,19 +465,39 @@
 
             const icon = document.createElement('span');
             icon.className = 'tree-icon';
+            icon.setAttribute('aria-hidden', 'true');
             const isOpen = appState.openedIds.includes(node.id);
-            icon.textContent = node.isFolder ? (isOpen ? "📂" : "📁") : (node.kind !== "json" ? "👁" : "🏋");
+            if (node.isFolder) {
+                icon.textContent = isOpen ? "📂" : "📁";
+            } else {
+                icon.innerHTML = typeBadgeHtml(node);
+            }
             row.appendChild(icon);
 
-            const label = document.createElement('button');
+            const label = document.createElement('span');
             label.className = 'tree-label';
-            label.textContent = node.name.replace(/\.[^.]+$/, '');
+            const labelText = nodeTitle(node);
+            if (searchQuery && searchMatchIds.has(node.id)) {
+                label.innerHTML = highlightText(labelText, searchQuery);
+            } else {
+                label.textContent = labelText;
+            }
+            if (!node.isFolder) label.title = nodeTooltip(node);
             row.appendChild(label);
 
+            const sizeText = node.isFolder ? '' : nodeSizeText(node);
+            if (sizeText) {
+                const size = document.createElement('span');
+                size.className = 'tree-size';
+                size.textContent = sizeText;
+                row.appendChild(size);
+            }
+
             div.appendChild(row);
 
             const childCont = document.createElement('div');
             childCont.className = 'tree-children';
+            if (node.isFolder) childCont.setAttribute('role', 'group');
             if (node.isFolder && node.children) {
                 buildTreeHelper(childCont, node.children, level + 1);
             }
@@ -237,6 +506,63 @@
         });
     }
 
+    // --- Metadaten-Anzeige (Titel, Typ, Umfang; erzeugt von tools/update_index.js) ---
+
+    /**
+     * Titel aus dem Payload, sonst der Dateiname ohne Endung
+     * (z. B. beim GitHub-Index ohne Metadaten).
+     */
+    function nodeTitle(node) {
+        return (!node.isFolder && node.meta && node.meta.title) || node.name.replace(/\.[^.]+$/, '');
+    }
+
+    function typeBadgeHtml(node) {
+        if (node.kind === 'json') {
+            const type = GameRegistry.get(node.meta && node.meta.game_type);
+            return type
+                ? `<span class="type-badge type-badge--${type.id}" title="${escapeHtml(`${type.icon} ${type.name}`)}">${type.badge}</span>`
+                : '<span class="type-badge" title="Spiel">🏋</span>';
+        }
+        return `<span class="type-badge type-badge--doc" title="Dokument">${DOC_KIND_LABELS[node.kind] || 'DOC'}</span>`;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toLocaleString('de-DE', { maximumFractionDigits: 1 }) + ' MB';
+        return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+
+    /**
+     * Umfang eines Eintrags: "20 Fragen", "7 Abschnitte", "1,2 MB" – oder ''.
+     */
+    function nodeSizeText(node) {
+        const meta = node.meta;
+        if (!meta) return '';
+        if (node.kind !== 'json') return meta.bytes ? formatBytes(meta.bytes) : '';
+
+        // Typen mit Abschnitten (Escape-Game) zählen Abschnitte statt Items
+        const type = GameRegistry.get(meta.game_type);
+        const count = meta.sectionCount || meta.itemCount;
+        if (!type || !count) return '';
+        return `${count} ${type.unit[count === 1 ? 0 : 1]}`;
+    }
+
+    function nodeDetails(node) {
+        const meta = node.meta || {};
+        const parts = [];
+        if (meta.estimated_minutes) parts.push(`ca. ${meta.estimated_minutes} min`);
+        if (meta.level) parts.push(`Level ${meta.level}`);
+        if (meta.chapter) parts.push(`Kapitel ${meta.chapter}`);
+        return parts;
+    }
+
+    function nodeTooltip(node) {
+        const lines = [node.name];
+        const details = [nodeSizeText(node), ...nodeDetails(node)].filter(Boolean);
+        if (details.length) lines.push(details.join(' · '));
+        if (node.meta && node.meta.tags && node.meta.tags.length) lines.push('Tags: ' + node.meta.tags.join(', '));
+        return lines.join('\n');
+    }
+
     function toggleNode(div, id, btn) {
         const idx = appState.openedIds.indexOf(id);
         if (idx >= 0) {
@@ -248,7 +574,9 @@
             div.classList.remove('tree-node--collapsed');
             btn.textContent = '▾';
         }
+        div.setAttribute('aria-expanded', appState.openedIds.includes(id) ? 'true' : 'false');
         saveAppState();
+        syncTreeTabStop();
         const icon = div.querySelector('.tree-icon');
         const node = findNode(rootTree, id);
         if (icon && node && node.isFolder) {
@@ -263,30 +591,253 @@
                 const btn = div.querySelector('.tree-toggle');
                 toggleNode(div, node.id, btn);
             }
+            // Ordner zeigen ihr Fortschritts-Dashboard
+            selectNode(node.id);
             return;
         }
 
-        // Dateien auswählen
+        // Dateien auswählen (PDFs öffnen im eingebetteten Viewer)
         selectNode(node.id);
-
-        // PDFs und Dokumente zusätzlich direkt im neuen Tab öffnen
-        if (node.kind === 'pdf' || node.kind === 'pptx') {
-            window.open(node.id, '_blank');
-        }
     }
 
-    function selectNode(id) {
+    /**
+     * Wählt einen Knoten aus und hält die URL (#id=...) synchron.
+     * @param {Object} [options]
+     * @param {string} [options.history] 'push' (Default), 'replace' oder 'none'
+     */
+    function selectNode(id, options = {}) {
+        const mode = options.history || 'push';
         appState.selectedId = id;
+        treeFocusId = id;
         saveAppState();
         applySelectedCss();
+        if (mode !== 'none') writeIdToHash(id, mode === 'replace', options.study);
         renderViewForId(id);
     }
 
+    // --- Deep-Links & Browser-Verlauf ---
+
+    function readIdFromHash() {
+        const hash = window.location.hash.replace(/^#/, '');
+        if (!hash) return null;
+        return new URLSearchParams(hash).get('id');
+    }
+
+    /**
+     * Lernmodus im Link: "#id=<Dokument>&study=<Spiel>" ("study=" = erstes Spiel).
+     * @returns {string|null} null ohne Lernmodus
+     */
+    function readStudyFromHash() {
+        return new URLSearchParams(window.location.hash.replace(/^#/, '')).get('study');
+    }
+
+    /**
+     * Zufalls-Seed im Link: "#id=<Spiel>&seed=<Seed>" öffnet das Spiel mit
+     * derselben Reihenfolge (siehe GameBase, Abschnitt ZUFALL).
+     * @returns {string|null}
+     */
+    function readSeedFromHash() {
+        return GameRegistry.normalizeSeed(new URLSearchParams(window.location.hash.replace(/^#/, '')).get('seed'));
+    }
+
+    function writeIdToHash(id, replace, study = null) {
+        if (readIdFromHash() === id && readStudyFromHash() === study) return;
+        const studyPart = study === null ? '' : `&study=${encodeURIComponent(study)}`;
+        // Seed eines geteilten Links bleibt, solange dieselbe Datei offen ist
+        const seed = readIdFromHash() === id ? readSeedFromHash() : null;
+        const seedPart = seed ? `&seed=${encodeURIComponent(seed)}` : '';
+        const url = `${window.location.pathname}${window.location.search}#id=${encodeURIComponent(id)}${studyPart}${seedPart}`;
+        if (replace) history.replaceState({ id }, '', url);
+        else history.pushState({ id }, '', url);
+    }
+
+    /**
+     * Öffnet einen Knoten aus einem Link: Baum bis zur Datei aufklappen,
+     * auswählen – oder die "Nicht gefunden"-Ansicht zeigen.
+     */
+    function openNodeFromLink(id) {
+        if (!findNode(rootTree, id)) {
+            appState.selectedId = null;
+            applySelectedCss();
+            renderNotFoundView(id);
+            return;
+        }
+        revealNode(id);
+        selectNode(id, { history: 'none' });
+    }
+
+    function onHistoryNavigate() {
+        const id = readIdFromHash();
+        if (id) {
+            openNodeFromLink(id);
+        } else {
+            appState.selectedId = null;
+            saveAppState();
+            applySelectedCss();
+            renderReadyView();
+        }
+    }
+
     function applySelectedCss() {
         document.querySelectorAll('.tree-node').forEach(n => {
-            if (n.dataset.id === appState.selectedId) n.classList.add('tree-node--selected');
-            else n.classList.remove('tree-node--selected');
+            const selected = n.dataset.id === appState.selectedId;
+            n.classList.toggle('tree-node--selected', selected);
+            n.setAttribute('aria-selected', selected ? 'true' : 'false');
+        });
+        syncTreeTabStop();
+    }
+
+    // --- Tastatur-Navigation (WAI-ARIA Tree) ---
+
+    function initTreeKeyboard() {
+        treeRootEl.addEventListener('keydown', onTreeKeydown);
+        // Klick fokussiert den Eintrag → roving tabindex nachziehen
+        treeRootEl.addEventListener('focusin', (e) => {
+            const item = e.target.closest('[role="treeitem"]');
+            if (item && item.dataset.id !== treeFocusId) {
+                treeFocusId = item.dataset.id;
+                syncTreeTabStop();
+            }
+        });
+    }
+
+    /**
+     * Alle sichtbaren Einträge in Anzeigereihenfolge (ohne zugeklappte Teilbäume).
+     */
+    function visibleTreeItems() {
+        return [...treeRootEl.querySelectorAll('[role="treeitem"]')]
+            .filter(el => !el.parentElement.closest('.tree-node--collapsed'));
+    }
+
+    /**
+     * Genau ein Eintrag ist per Tab erreichbar: der fokussierte, sonst der
+     * ausgewählte, sonst der erste sichtbare.
+     */
+    function syncTreeTabStop() {
+        const items = visibleTreeItems();
+        if (items.length === 0) return;
+        let current = items.find(el => el.dataset.id === treeFocusId);
+        if (!current && treeFocusId) {
+            // Eintrag wurde zugeklappt → der nächste sichtbare Elternordner übernimmt
+            const hidden = treeItemById(treeFocusId);
+            let parent = hidden && hidden.parentElement.closest('[role="treeitem"]');
+            while (parent && !items.includes(parent)) parent = parent.parentElement.closest('[role="treeitem"]');
+            current = parent;
+        }
+        current = current || items.find(el => el.dataset.id === appState.selectedId) || items[0];
+        treeFocusId = current.dataset.id;
+        const hadFocus = treeRootEl.contains(document.activeElement);
+        treeRootEl.querySelectorAll('[role="treeitem"]').forEach(el => {
+            el.tabIndex = el === current ? 0 : -1;
         });
+        // Nach renderTree() den Fokus nicht verlieren
+        if (hadFocus && document.activeElement !== current) current.focus();
+    }
+
+    function focusTreeItem(item) {
+        if (!item) return;
+        treeFocusId = item.dataset.id;
+        syncTreeTabStop();
+        item.focus();
+        item.querySelector('.tree-row').scrollIntoView({ block: 'nearest' });
+    }
+
+    function setTreeItemExpanded(item, expanded) {
+        if ((item.getAttribute('aria-expanded') === 'true') === expanded) return;
+        toggleNode(item, item.dataset.id, item.querySelector('.tree-toggle'));
+    }
+
+    function onTreeKeydown(e) {
+        const item = e.target.closest('[role="treeitem"]');
+        if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const items = visibleTreeItems();
+        const idx = items.indexOf(item);
+        const isFolder = item.hasAttribute('aria-expanded');
+        const expanded = item.getAttribute('aria-expanded') === 'true';
+        let handled = true;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                focusTreeItem(items[Math.min(idx + 1, items.length - 1)]);
+                break;
+            case 'ArrowUp':
+                focusTreeItem(items[Math.max(idx - 1, 0)]);
+                break;
+            case 'Home':
+                focusTreeItem(items[0]);
+                break;
+            case 'End':
+                focusTreeItem(items[items.length - 1]);
+                break;
+            case 'ArrowRight':
+                // Zu: aufklappen, offen: zum ersten Kind
+                if (isFolder && !expanded) {
+                    setTreeItemExpanded(item, true);
+                } else if (isFolder && items[idx + 1] && items[idx + 1].parentElement.closest('[role="treeitem"]') === item) {
+                    focusTreeItem(items[idx + 1]);
+                }
+                break;
+            case 'ArrowLeft':
+                // Offen: zuklappen, sonst zum Elternordner
+                if (isFolder && expanded) {
+                    setTreeItemExpanded(item, false);
+                } else {
+                    focusTreeItem(item.parentElement.closest('[role="treeitem"]'));
+                }
+                break;
+            case 'Enter':
+                openTreeItem(item, isFolder);
+                break;
+            default:
+                handled = typeAhead(e.key, items, idx);
+        }
+        if (handled) e.preventDefault();
+    }
+
+    /**
+     * Enter: Datei öffnen wie per Klick, Ordner aufklappen und Dashboard zeigen.
+     */
+    function openTreeItem(item, isFolder) {
+        const node = findNode(rootTree, item.dataset.id);
+        if (!node) return;
+        if (isFolder) {
+            setTreeItemExpanded(item, true);
+            selectNode(node.id);
+        } else {
+            onNodeClick(null, node);
+        }
+        focusTreeItem(treeItemById(node.id));
+    }
+
+    function treeItemById(id) {
+        return treeRootEl.querySelector(`[role="treeitem"][data-id="${cssEscape(id)}"]`);
+    }
+
+    /**
+     * Springt zum nächsten sichtbaren Eintrag, dessen Name mit den zuletzt
+     * getippten Zeichen beginnt.
+     */
+    function typeAhead(key, items, idx) {
+        const isChar = key.length === 1 && (key !== ' ' || typeAheadBuffer !== '');
+        if (!isChar) return false;
+
+        clearTimeout(typeAheadTimer);
+        typeAheadTimer = setTimeout(() => { typeAheadBuffer = ''; }, TYPE_AHEAD_MS);
+        typeAheadBuffer += key.toLocaleLowerCase();
+
+        // Gleicher Buchstabe mehrfach: reihum durch alle Treffer
+        const repeated = typeAheadBuffer.split('').every(c => c === typeAheadBuffer[0]);
+        const prefix = repeated ? typeAheadBuffer[0] : typeAheadBuffer;
+        const start = repeated || typeAheadBuffer.length === 1 ? idx + 1 : idx;
+        for (let i = 0; i < items.length; i++) {
+            const candidate = items[(start + i) % items.length];
+            if ((candidate.getAttribute('aria-label') || '').toLocaleLowerCase().startsWith(prefix)) {
+                focusTreeItem(candidate);
+                break;
+            }
+        }
+        return true;
     }
 
     function findNode(nodes, id) {
@@ -300,6 +851,35 @@
         return null;
     }
 
+    /**
+     * Liefert die IDs aller Vorfahren-Ordner eines Knotens (Wurzel zuerst).
+     */
+    function findAncestorIds(nodes, id, trail = []) {
+        for (const n of nodes) {
+            if (n.id === id) return trail;
+            if (n.children) {
+                const f = findAncestorIds(n.children, id, [...trail, n.id]);
+                if (f) return f;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Klappt alle Vorfahren eines Knotens auf und scrollt ihn in den Blick.
+     */
+    function revealNode(id) {
+        const ancestors = findAncestorIds(rootTree, id) || [];
+        const missing = ancestors.filter(a => !appState.openedIds.includes(a));
+        if (missing.length) {
+            appState.openedIds.push(...missing);
+            saveAppState();
+            renderTree();
+        }
+        const div = treeRootEl.querySelector(`.tree-node[data-id="${cssEscape(id)}"]`);
+        if (div) div.querySelector('.tree-row').scrollIntoView({ block: 'nearest' });
+    }
+
     function findPath(nodes, id, path = []) {
         for (const n of nodes) {
             const sub = [...path, n.name];
@@ -313,8 +893,16 @@
     }
 
     async function renderViewForId(id) {
+        if (activeDocViewer) {
+            activeDocViewer.destroy();
+            activeDocViewer = null;
+        }
+        setActiveGame(null);
         const node = findNode(rootTree, id);
-        if (!node) return;
+        if (!node) {
+            renderNotFoundView(id);
+            return;
+        }
 
         viewTitleEl.textContent = node.name;
         const p = findPath(rootTree, id) || [node.name];
@@ -325,142 +913,1036 @@
             contentEl.classList.remove('full-screen');
             viewBodyEl.classList.remove('iframe-container');
             viewBodyEl.classList.add('card');
-            const list = (node.children || []).map(c => `<li>${c.name}</li>`).join('');
-            viewBodyEl.innerHTML = `<h3>Inhalt:</h3><ul>${list || '<li>Leer</li>'}</ul>`;
+            renderFolderDashboard(node);
         } else {
             if (node.kind === 'json') {
-                contentHeader.classList.add('hidden');
-                contentEl.classList.add('full-screen');
-                viewBodyEl.innerHTML = '';
-                viewBodyEl.classList.remove('card');
-                viewBodyEl.classList.add('iframe-container');
+                showGameLayout();
 
-                // Falls die Daten fehlen (dynamischer Index), müssen wir sie nachladen
-                if (!node.data) {
+                // Payload aus Shard bzw. Datei nachladen (payload_store.js legt es für das Spiel ab)
+                if (!PayloadStore.peek(node)) {
                     viewBodyEl.innerHTML = '<div style="padding:2rem; text-align:center;">Lade Spieldaten...</div>';
-                    try {
-                        const resp = await fetch(node.id);
-                        if (!resp.ok) throw new Error("Datei nicht gefunden.");
-                        node.data = await resp.json();
-                    } catch (e) {
-                        viewBodyEl.innerHTML = `<div style="padding:2rem; color:hsl(var(--error))">Fehler beim Laden: ${e.message}</div>`;
-                        return;
-                    }
                 }
+                await preloadPayload(node);
 
-                if (node.data) {
-                    sessionStorage.setItem('game_payload_' + node.id, JSON.stringify(node.data));
-                }
+                // Inzwischen wurde etwas anderes gewählt
+                if (appState.selectedId !== id) return;
+                viewBodyEl.innerHTML = '';
                 loadGame(node);
-            } else if (node.kind === 'pdf') {
-                contentHeader.classList.remove('hidden');
-                contentEl.classList.remove('full-screen');
-                viewBodyEl.classList.remove('iframe-container');
-                viewBodyEl.classList.add('card');
-                viewBodyEl.innerHTML = `
-                    <div style="padding: 2rem; text-align: center;">
-                        <div style="font-size: 4rem; margin-bottom: 1rem;">📄</div>
-                        <h2>PDF Dokument</h2>
-                        <p style="color: hsl(var(--txt-muted)); margin-bottom: 2rem;">
-                            Die Datei <strong>${node.name}</strong> wurde in einem neuen Tab geöffnet.
-                        </p>
-                        <button class="btn primary" onclick="window.open('${node.id}', '_blank')">
-                            Datei erneut öffnen
-                        </button>
-                    </div>
-                `;
+            } else if (readStudyFromHash() !== null && findStudyPair(node)) {
+                renderStudyView(node, findStudyPair(node), readStudyFromHash());
+            } else if (node.kind === 'pdf' && window.DocViewer) {
+                showDocumentLayout();
+                activeDocViewer = window.DocViewer.open(documentHost(node), { url: node.id, fileId: node.id, name: node.name });
+            } else if ((node.kind === 'text' || node.kind === 'markdown') && window.Markdown) {
+                showDocumentLayout();
+                await renderTextDocument(node, documentHost(node));
             } else {
-                contentHeader.classList.remove('hidden');
-                contentEl.classList.remove('full-screen');
-                viewBodyEl.classList.remove('iframe-container');
-                viewBodyEl.classList.add('card');
+                // PowerPoint kann pdf.js nicht darstellen → Download statt Pop-up
+                showDocumentLayout();
                 viewBodyEl.innerHTML = `
                     <div style="padding: 2rem; text-align: center;">
                         <div style="font-size: 4rem; margin-bottom: 1rem;">📂</div>
                         <h2>Dokument</h2>
                         <p style="color: hsl(var(--txt-muted)); margin-bottom: 2rem;">
-                            Datei: <strong>${node.name}</strong>
+                            Für <strong>${escapeHtml(node.name)}</strong> gibt es keine Vorschau.
                         </p>
-                        <button class="btn primary" onclick="window.open('${node.id}', '_blank')">
-                            Herunterladen / Öffnen
-                        </button>
+                        <a class="btn primary" href="${escapeHtml(node.id)}" download>Herunterladen</a>
                     </div>
                 `;
             }
         }
     }
 
-    function loadGame(node) {
+    /**
+     * .txt als Klartext, Markdown über markdown.js (escaped, nur sichere Links).
+     * Relative Links auf Dateien im Baum öffnen den Knoten in der App.
+     */
+    async function renderTextDocument(node, container = viewBodyEl) {
+        container.innerHTML = '<div style="padding:2rem; text-align:center;">Lade Dokument...</div>';
+        let text;
+        try {
+            const resp = await fetch(node.id);
+            if (!resp.ok) throw new Error(`Datei nicht gefunden (${resp.status}).`);
+            text = await resp.text();
+        } catch (e) {
+            if (appState.selectedId !== node.id || !container.isConnected) return;
+            container.innerHTML = `<div style="padding:2rem; color:hsl(var(--error))">Fehler beim Laden: ${escapeHtml(e.message)}</div>`;
+            return;
+        }
+        if (appState.selectedId !== node.id || !container.isConnected) return;
+
+        const html = node.kind === 'markdown'
+            ? window.Markdown.render(text, { resolveUrl: (url, isImage) => resolveDocumentUrl(node, url, isImage) })
+            : window.Markdown.renderPlain(text);
+        container.innerHTML = `
+            <article class="md-body md-body--${node.kind}">${html}</article>
+            <div class="md-actions">
+                <a class="btn" href="${escapeHtml(node.id)}" download>Herunterladen</a>
+            </div>
+        `;
+        container.querySelector('.md-body').addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#id="]');
+            if (!link) return;
+            e.preventDefault();
+            const id = new URLSearchParams(link.getAttribute('href').slice(1)).get('id');
+            revealNode(id);
+            selectNode(id);
+        });
+    }
+
+    /**
+     * Löst eine relative Adresse aus einem Markdown-Dokument auf (relativ
+     * zu dessen Ordner). Dateien aus dem Baum werden zu Deep-Links (#id=…),
+     * Sprungmarken (#…) entfallen – sie würden den Deep-Link überschreiben.
+     */
+    function resolveDocumentUrl(node, url, isImage) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+        if (url.startsWith('#')) return null;
+
+        const pathPart = url.split(/[?#]/)[0];
+        const parts = pathPart.startsWith('/') ? [] : node.id.split('/').slice(0, -1);
+        pathPart.split('/').forEach(seg => {
+            if (!seg || seg === '.') return;
+            if (seg === '..') parts.pop();
+            else parts.push(safeDecode(seg));
+        });
+        const target = parts.join('/');
+
+        if (!isImage && findNode(rootTree, target)) return '#id=' + encodeURIComponent(target);
+        return parts.map(encodeURIComponent).join('/');
+    }
+
+    function safeDecode(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (_) {
+            return segment;
+        }
+    }
+
+    function showDocumentLayout() {
+        contentHeader.classList.remove('hidden');
+        contentEl.classList.remove('full-screen');
+        viewBodyEl.classList.remove('iframe-container');
+        viewBodyEl.classList.add('card');
+    }
+
+    function showGameLayout() {
+        contentHeader.classList.add('hidden');
+        contentEl.classList.add('full-screen');
+        viewBodyEl.innerHTML = '';
+        viewBodyEl.classList.remove('card');
+        viewBodyEl.classList.add('iframe-container');
+    }
+
+    // --- Ordner-Dashboard (Lernfortschritt, siehe progress_store.js) ---
+
+    /**
+     * Sammelt alle Spiele (JSON-Payloads) unterhalb eines Knotens.
+     */
+    function collectJsonNodes(node, out = []) {
+        if (!node.isFolder) {
+            if (node.kind === 'json') out.push(node);
+            return out;
+        }
+        (node.children || []).forEach(child => collectJsonNodes(child, out));
+        return out;
+    }
+
+    function collectGameIds(node) {
+        return collectJsonNodes(node).map(n => n.id);
+    }
+
+    function formatPercent(ratio) {
+        return Math.round(ratio * 100) + ' %';
+    }
+
+    function progressBarHtml(ratio, done) {
+        const width = Math.round(Math.max(0, Math.min(1, ratio)) * 100);
+        return `<div class="progress-bar"><div class="progress-bar-fill${done ? ' progress-bar-fill--done' : ''}" style="width:${width}%"></div></div>`;
+    }
+
+    function renderFolderDashboard(node) {
+        const children = node.children || [];
+        if (children.length === 0) {
+            viewBodyEl.innerHTML = '<p style="padding:2rem; color:hsl(var(--txt-muted))">Dieser Ordner ist leer.</p>';
+            return;
+        }
+
+        const store = window.ProgressStore;
+        const gameIds = collectGameIds(node);
+        const total = store ? store.summarize(gameIds) : null;
+
+        const summaryHtml = total && total.total > 0 ? `
+            <div class="progress-summary">
+                <div class="progress-readiness">
+                    <div class="view-path" style="margin-bottom:0.5rem;">Prüfungsbereitschaft</div>
+                    <div class="progress-readiness-value">${formatPercent(total.readiness)}</div>
+                    ${progressBarHtml(total.readiness, total.completed === total.total)}
+                </div>
+                <div class="pill-row" style="margin-top:0;">
+                    <span class="pill">${total.played} / ${total.total} Spiele gespielt</span>
+                    <span class="pill">${total.completed} geschafft</span>
+                    <span class="pill">${total.attempts} Versuche</span>
+                </div>
+            </div>
+        ` : '';
+
+        const examHtml = renderExamPanelHtml(node, gameIds);
+        const studyPair = findStudyPair(node);
+
+        const rows = children.map(child => {
+            const name = escapeHtml(nodeTitle(child));
+            const attrs = `data-id="${escapeHtml(child.id)}" title="${escapeHtml(child.isFolder ? child.id : nodeTooltip(child))}"`;
+            const details = child.isFolder ? [] : [nodeSizeText(child), ...nodeDetails(child)].filter(Boolean);
+            const fileCell = child.isFolder ? '' : `<td>${typeBadgeHtml(child)} ${name}${details.length ? `<div class="muted node-details">${escapeHtml(details.join(' · '))}</div>` : ''}</td>`;
+
+            if (child.isFolder) {
+                const sum = store ? store.summarize(collectGameIds(child)) : null;
+                if (!sum || sum.total === 0) {
+                    return `<tr ${attrs}><td>📁 ${name}</td><td colspan="5" class="muted">keine Spiele</td></tr>`;
+                }
+                return `
+                    <tr ${attrs}>
+                        <td>📁 ${name}</td>
+                        <td class="num">${sum.played ? 'Ø ' + formatPercent(sum.lastAvg) : '–'}</td>
+                        <td class="num">${formatPercent(sum.readiness)}</td>
+                        <td class="num">${sum.attempts}</td>
+                        <td class="num">${sum.completed} / ${sum.total}</td>
+                        <td>${progressBarHtml(sum.readiness, sum.completed === sum.total)}</td>
+                    </tr>`;
+            }
+
+            if (child.kind !== 'json') {
+                return `<tr ${attrs}>${fileCell}<td colspan="5" class="muted">Dokument</td></tr>`;
+            }
+
+            const entry = store ? store.getEntry(child.id) : null;
+            if (!entry) {
+                return `<tr ${attrs}>${fileCell}<td colspan="5" class="muted">noch nicht gespielt</td></tr>`;
+            }
+            return `
+                <tr ${attrs}>
+                    ${fileCell}
+                    <td class="num">${entry.lastScore} / ${entry.lastMaxScore}</td>
+                    <td class="num">${formatPercent(entry.bestRatio)}</td>
+                    <td class="num">${entry.attempts}</td>
+                    <td class="num">${entry.completed ? '✔' : '–'}</td>
+                    <td>${progressBarHtml(entry.bestRatio, entry.completed)}</td>
+                </tr>`;
+        }).join('');
+
+        viewBodyEl.innerHTML = `
+            ${summaryHtml}
+            ${studyPair ? studyEntryHtml(studyPair) : ''}
+            ${examHtml}
+            <table class="progress-table">
+                <thead>
+                    <tr>
+                        <th>Inhalt</th>
+                        <th class="num">Letztes</th>
+                        <th class="num">Bestes</th>
+                        <th class="num">Versuche</th>
+                        <th class="num">Geschafft</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        viewBodyEl.querySelectorAll('tbody tr[data-id]').forEach(tr => {
+            tr.onclick = () => {
+                revealNode(tr.dataset.id);
+                selectNode(tr.dataset.id);
+            };
+        });
+
+        const studyBtn = viewBodyEl.querySelector('.study-entry button');
+        if (studyBtn) {
+            studyBtn.onclick = () => {
+                revealNode(studyPair.doc.id);
+                selectNode(studyPair.doc.id, { study: '' });
+            };
+        }
+
+        const examForm = viewBodyEl.querySelector('#exam-form');
+        if (examForm) {
+            examForm.onsubmit = (e) => {
+                e.preventDefault();
+                startExam(node, {
+                    questionCount: Number(examForm.elements.questionCount.value),
+                    minutes: Number(examForm.elements.minutes.value)
+                }, examForm.elements.seed.value);
+            };
+        }
+    }
+
+    // --- Prüfungssimulation (siehe exam_simulation.js) ---
+
+    function renderExamPanelHtml(node, gameIds) {
+        const exam = window.ExamSimulation;
+        if (!exam || gameIds.length === 0) return '';
+
+        if (!exam.hasSources(node)) return '';
+
+        // Die Fragenzahl ist erst bekannt, wenn alle Payloads geladen sind (payload_store.js)
+        const complete = collectJsonNodes(node).every(n => PayloadStore.peek(n));
+        const available = complete ? exam.countQuestions(node, PayloadStore.peek) : 0;
+        if (complete && available === 0) return '';
+
+        const settings = appState.examSettings || {};
+        const last = window.ProgressStore ? window.ProgressStore.getEntry(exam.examIdFor(node.id)) : null;
+        const lastHtml = last && last.lastMaxScore > 0
+            ? `<span class="pill">Letzte Simulation: ${last.lastScore} / ${last.lastMaxScore} (${formatPercent(window.ProgressStore.lastRatio(last))})</span>`
+            : '';
+
+        return `
+            <form class="exam-panel" id="exam-form">
+                <div class="exam-panel-text">
+                    <strong>🎓 Prüfungssimulation</strong>
+                    <div class="view-path">Mischt Fragen aus Quick-Quiz, What &amp; Why und Escape-Game-Quizzen dieses Ordners
+                        ${complete ? `(${available} verfügbar)` : ''} unter einer gemeinsamen Prüfungsuhr.</div>
+                    ${lastHtml}
+                </div>
+                <label>Fragen
+                    <input type="number" name="questionCount" min="1" ${complete ? `max="${available}"` : ''} value="${settings.questionCount || 30}">
+                </label>
+                <label>Minuten
+                    <input type="number" name="minutes" min="1" value="${settings.minutes || 45}">
+                </label>
+                <label title="Gleicher Seed = gleiche Fragen in gleicher Reihenfolge (z. B. für eine ganze Klasse)">Seed
+                    <input type="text" name="seed" placeholder="zufällig" maxlength="32" pattern="[A-Za-z0-9_\\-]*">
+                </label>
+                <button type="submit" class="btn primary">Starten</button>
+            </form>
+        `;
+    }
+
+    /**
+     * @param {Object} node
+     * @param {{questionCount: number, minutes: number}} settings - werden gemerkt
+     * @param {string} [seedInput] - leer = neuer Seed (wird nicht gemerkt)
+     */
+    async function startExam(node, settings, seedInput) {
+        appState.examSettings = settings;
+        saveAppState();
+        const seed = GameRegistry.normalizeSeed(seedInput) || GameRegistry.newSeed();
+
+        showGameLayout();
+        viewBodyEl.innerHTML = '<div style="padding:2rem; text-align:center;">Stelle Prüfung zusammen...</div>';
+        // Nicht ladbare Dateien fehlen in der Prüfung, brechen sie aber nicht ab
+        await PayloadStore.loadMany(collectJsonNodes(node));
+
+        // Inzwischen wurde etwas anderes gewählt
+        if (appState.selectedId !== node.id) return;
+
+        // Derselbe Seed wählt die Fragen aus und mischt sie im Spiel
+        const payload = window.ExamSimulation.buildExam(node, { ...settings, random: GameRegistry.createRandom(seed), getData: PayloadStore.peek });
+        if (!payload) {
+            viewBodyEl.innerHTML = '<div style="padding:2rem; color:hsl(var(--error))">In diesem Ordner gibt es keine Fragen für eine Prüfungssimulation.</div>';
+            return;
+        }
+
+        const examId = window.ExamSimulation.examIdFor(node.id);
+        try {
+            sessionStorage.setItem('game_payload_' + examId, JSON.stringify(payload));
+        } catch (e) {
+            // z. B. QuotaExceededError bei sehr großen Ordnern
+            viewBodyEl.innerHTML = `<div style="padding:2rem; color:hsl(var(--error))">Die Prüfung konnte nicht gespeichert werden: ${escapeHtml(e.message)}<br>Weniger Fragen wählen oder unter „Speicher &amp; Cache“ die zwischengespeicherten Inhalte leeren.</div>`;
+            return;
+        }
+        viewBodyEl.innerHTML = '';
+        loadGame({ id: examId, meta: { game_type: payload.game_type } }, viewBodyEl, seed);
+    }
+
+    /**
+     * @param {Object} node
+     * @param {HTMLElement} [container]
+     * @param {string|null} [seed] - Zufalls-Seed für das Spiel (Standard: aus dem Link)
+     */
+    function loadGame(node, container = viewBodyEl, seed = readSeedFromHash()) {
         const iframe = document.createElement('iframe');
         iframe.className = 'game-iframe';
-        iframe.src = `games/game_loader.html?file=${encodeURIComponent(node.id)}`;
-        viewBodyEl.appendChild(iframe);
+        iframe.src = gameUrl(node, seed);
+        container.appendChild(iframe);
+        setActiveGame({ iframe, node, result: null, paused: false, error: null, seed: null, shuffled: true });
 
-        iframe.onload = () => {
-            const isLight = document.documentElement.classList.contains('theme-light');
-            if (isLight) iframe.contentDocument.documentElement.classList.add('theme-light');
-        };
+        // Nach jedem Laden des iframes (auch Neuladen) das Theme schicken
+        iframe.addEventListener('load', () => {
+            GameBridge.post(iframe.contentWindow, 'setTheme', node.id, { theme: currentTheme() });
+        });
+    }
+
+    /**
+     * Lädt das Payload vor dem Spielstart (Shard → sessionStorage). Schlägt das
+     * fehl (Datei fehlt, kein gültiges JSON, ...), startet das Spiel trotzdem:
+     * GameBase lädt die Datei dann selbst und zeigt die Fehlerseite mit Code,
+     * Zeile/Spalte und Aktionen (games/game_errors.js), die App ihren Rahmen dazu.
+     */
+    async function preloadPayload(node) {
+        try {
+            await PayloadStore.load(node);
+        } catch (e) {
+            console.warn('Payload konnte nicht vorab geladen werden:', node.id, e.message);
+        }
     }
 
-    // --- 4. Globale Hilfsfunktionen & Remote Indexing ---
+    /**
+     * URL des Spiel-Templates: direkt games/<template>?fileId=..., ohne Umweg
+     * über game_loader.html. Der Spieltyp kommt aus dem geladenen Payload
+     * (verlässlicher als der Dateiname), sonst aus den Index-Metadaten.
+     * Unbekannte Typen gehen an den Loader, der die passende Fehlerseite zeigt.
+     */
+    function gameUrl(node, seed) {
+        const data = PayloadStore.peek(node);
+        const type = (data && (data.game_type || data.gameType)) || (node.meta && node.meta.game_type);
+        const template = GameRegistry.templateFor(type);
+        const query = `${encodeURIComponent(node.id)}${seed ? `&seed=${encodeURIComponent(seed)}` : ''}`;
+        return template ? `games/${template}?fileId=${query}` : `games/game_loader.html?file=${query}`;
+    }
 
-    // Wird vom "Cache leeren" Button aufgerufen
-    window.clearDriveCache = async function () {
-        const isGithub = window.location.href.includes('github.io');
+    // --- Spiel-Bridge (Nachrichten der Spiele, siehe game_bridge.js) ---
 
-        let msg = 'Möchtest du den Cache leeren?';
-        if (isGithub) msg += '\n\nHINWEIS: Auf GitHub Pages wird zusätzlich versucht, neue Dateien im "database"-Ordner direkt zu finden.';
+    function initGameBridge() {
+        GameBridge.listen(() => activeGame && activeGame.iframe.contentWindow, onGameMessage);
+        gameSeedBtn.onclick = copyGameSeed;
+        gamePauseBtn.onclick = () => {
+            if (activeGame) GameBridge.post(activeGame.iframe.contentWindow, activeGame.paused ? 'resume' : 'pause', activeGame.node.id);
+        };
+        gameRestartBtn.onclick = () => {
+            if (!activeGame) return;
+            if (activeGame.error) reloadGame();
+            else GameBridge.post(activeGame.iframe.contentWindow, 'restart', activeGame.node.id);
+        };
+    }
 
-        if (!confirm(msg)) return;
+    function setActiveGame(game) {
+        if (activeGame !== game) releaseRawUrl(activeGame);
+        activeGame = game;
+        renderGameStatus();
+    }
 
-        localStorage.removeItem(STATE_KEY);
-        sessionStorage.clear();
+    /**
+     * Verarbeitet die Ereignisse des offenen Spiels. Ergebnisse, die das Spiel
+     * nicht selbst speichern konnte (recorded: false), speichert die App.
+     */
+    function onGameMessage(msg) {
+        const game = activeGame;
+        const data = msg.data;
+        const fileId = msg.fileId || game.node.id;
+
+        switch (msg.type) {
+            case 'ready':
+                game.error = null;
+                game.failure = null;
+                game.paused = false;
+                game.seed = GameRegistry.normalizeSeed(data.seed);
+                game.shuffled = data.shuffled !== false;
+                clearGameFailure(game);
+                GameBridge.post(game.iframe.contentWindow, 'setTheme', fileId, { theme: currentTheme() });
+                break;
+            case 'started':
+                game.result = null;
+                break;
+            case 'progress':
+                game.result = data;
+                if (!data.recorded && window.ProgressStore) {
+                    window.ProgressStore.recordResult(fileId, data, data.runId);
+                    onProgressChanged();
+                }
+                break;
+            case 'itemAnswered':
+                if (!data.recorded && window.LeitnerStore && data.itemId !== undefined) {
+                    window.LeitnerStore.record(fileId, String(data.itemId), !!data.correct);
+                    onProgressChanged();
+                }
+                break;
+            case 'completed':
+                game.result = { ...data, completed: true };
+                refreshStudyGameButton(fileId);
+                break;
+            case 'paused':
+                game.paused = !!data.paused;
+                break;
+            case 'fatal':
+                game.error = String(data.message || 'Unbekannter Fehler');
+                game.failure = data;
+                showGameFailure(game);
+                break;
+            case 'back':
+                leaveGame(fileId);
+                return;
+            default:
+                return;
+        }
+        renderGameStatus();
+    }
 
-        if (isGithub) {
-            await rebuildIndexFromGithub();
+    function renderGameStatus() {
+        const game = activeGame && activeGame.iframe.isConnected ? activeGame : null;
+        gameStatusEl.hidden = !game;
+        if (!game) return;
+
+        const result = game.result;
+        gameScoreEl.className = 'game-score';
+        if (game.error) {
+            gameScoreEl.textContent = '⚠ Fehler';
+            gameScoreEl.classList.add('game-score--error');
+        } else if (result && result.maxScore > 0) {
+            gameScoreEl.textContent = `${result.score} / ${result.maxScore}${result.completed ? ' ✔' : ''}`;
+            gameScoreEl.classList.toggle('game-score--done', !!result.completed);
         } else {
-            localStorage.removeItem('pauker_remote_index_v1');
-            window.location.reload();
+            gameScoreEl.textContent = '–';
         }
-    };
+        gameScoreEl.title = game.error || (result ? `Punkte in diesem Versuch: ${result.score} von ${result.maxScore}` : 'Noch keine Punkte');
+
+        gameSeedBtn.hidden = !game.seed || !!game.error;
+        if (game.seed) {
+            gameSeedBtn.textContent = game.shuffled ? `🎲 ${game.seed}` : '🎲 fest';
+            gameSeedBtn.title = game.shuffled
+                ? `Seed ${game.seed} – klicken, um einen Link mit derselben Reihenfolge zu kopieren`
+                : 'Dieses Spiel wird nicht gemischt ("shuffle": false)';
+        }
+
+        gamePauseBtn.disabled = !!game.error;
+        gamePauseBtn.textContent = game.paused ? '▶' : '⏸';
+        gamePauseBtn.setAttribute('aria-pressed', String(game.paused));
+        gamePauseBtn.title = game.paused ? 'Spiel fortsetzen' : 'Spiel pausieren';
+        gamePauseBtn.setAttribute('aria-label', gamePauseBtn.title);
+    }
 
     /**
-     * ZWECK: Scannt den 'database'-Ordner direkt über die GitHub API,
-     * damit neue Dateien ohne 'update_index.js' sofort erscheinen.
+     * Kopiert einen Link, der das offene Spiel mit demselben Seed öffnet.
+     * Prüfungen stehen nicht im Baum – dort wird nur der Seed kopiert
+     * (im Prüfungsformular eintragen).
+     */
+    async function copyGameSeed() {
+        const game = activeGame;
+        if (!game || !game.seed || !game.shuffled) return;
+        const text = findNode(rootTree, game.node.id)
+            ? `${location.origin}${location.pathname}${location.search}#id=${encodeURIComponent(game.node.id)}&seed=${encodeURIComponent(game.seed)}`
+            : game.seed;
+        try {
+            await navigator.clipboard.writeText(text);
+            gameSeedBtn.textContent = '✔ kopiert';
+            setTimeout(renderGameStatus, 1500);
+        } catch (_) {
+            window.prompt('Link zum Kopieren:', text);
+        }
+    }
+
+    /**
+     * Fehler des Spiels (games/game_errors.js) im Rahmen der App: ersetzt das
+     * iframe, bis neu geladen wird, und bietet dieselben Auswege wie die
+     * Fehlerseite des Spiels.
+     */
+    function showGameFailure(game) {
+        clearGameFailure(game);
+        const failure = game.failure || {};
+        const details = Array.isArray(failure.details) ? failure.details : [];
+        const panel = document.createElement('div');
+        panel.className = 'game-failure';
+        panel.setAttribute('role', 'alert');
+        panel.innerHTML = `
+            <h3>⚠ ${escapeHtml(failure.title || 'Das Spiel ist abgestürzt')}</h3>
+            <p>${escapeHtml(game.error)}</p>
+            ${details.length > 0 ? `<ul>${details.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+            ${failure.excerpt ? `<pre>${escapeHtml(failure.excerpt)}</pre>` : ''}
+            <div class="game-failure-actions">
+                <button type="button" class="btn primary" data-action="reload">Erneut versuchen</button>
+                <button type="button" class="btn secondary" data-action="reset">Spielstand verwerfen</button>
+                <button type="button" class="btn secondary" data-action="raw">Rohdaten (JSON) öffnen</button>
+                <button type="button" class="btn secondary" data-action="back">Zurück zur Übersicht</button>
+            </div>
+            ${failure.code ? `<div class="game-failure-code">Fehlercode: ${escapeHtml(failure.code)}</div>` : ''}
+        `;
+        panel.querySelector('[data-action="reload"]').onclick = () => reloadGame();
+        panel.querySelector('[data-action="reset"]').onclick = () => reloadGame({ dropSession: true });
+        const rawBtn = panel.querySelector('[data-action="raw"]');
+        const rawUrl = gameRawUrl(game);
+        if (rawUrl) rawBtn.onclick = () => window.open(rawUrl, '_blank', 'noopener');
+        else rawBtn.remove();
+        panel.querySelector('[data-action="back"]').onclick = () => leaveGame(game.node.id);
+        game.iframe.hidden = true;
+        game.iframe.before(panel);
+    }
+
+    function clearGameFailure(game) {
+        releaseRawUrl(game);
+        game.iframe.hidden = false;
+        const panel = game.iframe.previousElementSibling;
+        if (panel && panel.classList.contains('game-failure')) panel.remove();
+    }
+
+    /**
+     * Rohdaten eines Spiels: die Datei selbst, bei Prüfungen das erzeugte
+     * Payload aus dem sessionStorage (Blob-URL am Spiel, freigegeben beim
+     * Ausblenden des Fehlers, Neuladen oder Verlassen des Spiels).
+     */
+    function gameRawUrl(game) {
+        const node = game.node;
+        if (findNode(rootTree, node.id)) return node.id;
+        const raw = sessionStorage.getItem('game_payload_' + node.id);
+        if (!raw) return null;
+        game.rawUrl = URL.createObjectURL(new Blob([raw], { type: 'application/json' }));
+        return game.rawUrl;
+    }
+
+    function releaseRawUrl(game) {
+        if (!game || !game.rawUrl) return;
+        URL.revokeObjectURL(game.rawUrl);
+        game.rawUrl = null;
+    }
+
+    /**
+     * "Zurück zur Übersicht": Ordner der Datei öffnen (Prüfungen: ihr Ordner).
+     */
+    function leaveGame(fileId) {
+        const examPrefix = window.ExamSimulation ? window.ExamSimulation.EXAM_ID_PREFIX : null;
+        const folderId = examPrefix && fileId.startsWith(examPrefix)
+            ? fileId.slice(examPrefix.length)
+            : (findAncestorIds(rootTree, fileId) || []).slice(-1)[0];
+        if (folderId && findNode(rootTree, folderId)) {
+            revealNode(folderId);
+            selectNode(folderId);
+            return;
+        }
+        appState.selectedId = null;
+        saveAppState();
+        applySelectedCss();
+        setActiveGame(null);
+        renderReadyView();
+    }
+
+    /**
+     * Lädt das offene Spiel neu; optional ohne gespeicherten Spielstand
+     * (häufigste Ursache, wenn ein Spiel nach einem Update nicht mehr startet).
+     */
+    function reloadGame({ dropSession = false } = {}) {
+        const game = activeGame;
+        if (!game) return;
+        if (dropSession) localStorage.removeItem(GAME_SESSION_PREFIX + game.node.id);
+        clearGameFailure(game);
+        game.error = null;
+        game.failure = null;
+        game.result = null;
+        game.paused = false;
+        game.iframe.src = game.iframe.src;
+        renderGameStatus();
+    }
+
+    function refreshStudyGameButton(fileId) {
+        const btn = viewBodyEl.querySelector(`.study-game-btn[data-id="${cssEscape(fileId)}"]`);
+        const node = btn ? findNode(rootTree, fileId) : null;
+        if (node) btn.innerHTML = studyGameLabel(node);
+    }
+
+    // --- Lernmodus (Kapitel-Dokument neben den Missionen) ---
+
+    /**
+     * Findet das Paar aus Kapitel-Dokument und Spielen, allein aus der Ordnerstruktur:
+     *   5_2 Maßnahmen des Qualitätsmanagements/
+     *       5_2 Massnahmen-des-Qualitatsmanagements.pdf   ← Dokument
+     *       Missionen_5_2_PvAP1/*.json                   ← Spiele
+     * @param {Object} node - Dokument oder Kapitel-Ordner
+     * @returns {{doc, games: Array}|null}
+     */
+    function findStudyPair(node) {
+        let folder = node;
+        if (!node.isFolder) {
+            if (!STUDY_DOC_KINDS.includes(node.kind)) return null;
+            const ancestors = findAncestorIds(rootTree, node.id) || [];
+            folder = ancestors.length ? findNode(rootTree, ancestors[ancestors.length - 1]) : null;
+        }
+        if (!folder || !folder.children) return null;
+
+        const games = folder.children
+            .filter(c => c.isFolder && STUDY_GAMES_FOLDER_RE.test(c.name))
+            .reduce((acc, c) => collectJsonNodes(c, acc), []);
+        const docs = folder.children
+            .filter(c => !c.isFolder && STUDY_DOC_KINDS.includes(c.kind))
+            .sort((a, b) => STUDY_DOC_KINDS.indexOf(a.kind) - STUDY_DOC_KINDS.indexOf(b.kind));
+        if (games.length === 0 || docs.length === 0) return null;
+
+        return { doc: node.isFolder ? docs[0] : node, games };
+    }
+
+    /**
+     * Container für das Dokument; bei einem Paar mit Hinweis auf den Lernmodus darüber.
+     */
+    function documentHost(node) {
+        const pair = findStudyPair(node);
+        if (!pair) return viewBodyEl;
+
+        viewBodyEl.innerHTML = `
+            ${studyEntryHtml(pair)}
+            <div class="doc-host"></div>
+        `;
+        viewBodyEl.querySelector('.study-entry button').onclick = () => selectNode(node.id, { study: '' });
+        return viewBodyEl.querySelector('.doc-host');
+    }
+
+    function studyEntryHtml(pair) {
+        const count = pair.games.length;
+        return `
+            <div class="study-entry">
+                <div>
+                    <strong>📖 + 🎮 Lernmodus</strong>
+                    <div class="view-path">${escapeHtml(nodeTitle(pair.doc))} neben ${count} ${count === 1 ? 'Mission' : 'Missionen'} aus diesem Kapitel</div>
+                </div>
+                <button type="button" class="btn primary">Nebeneinander öffnen</button>
+            </div>
+        `;
+    }
+
+    function studyGameLabel(node) {
+        const type = GameRegistry.get(node.meta && node.meta.game_type);
+        const entry = window.ProgressStore ? window.ProgressStore.getEntry(node.id) : null;
+        return `${typeBadgeHtml(node)} ${escapeHtml(type ? type.name : nodeTitle(node))}${entry && entry.completed ? ' ✔' : ''}`;
+    }
+
+    /**
+     * Links das Dokument (PDF-Viewer bzw. Text/Markdown), rechts die Spiele
+     * im Spiel-iframe. Das Dokument bleibt beim Wechsel der Spiele offen.
+     */
+    function renderStudyView(docNode, pair, gameId) {
+        showGameLayout();
+        viewBodyEl.innerHTML = `
+            <div class="study-view">
+                <div class="study-pane study-pane--doc"></div>
+                <div class="study-pane study-pane--games">
+                    <div class="study-bar">
+                        <div class="study-games" role="toolbar" aria-label="Missionen zu ${escapeHtml(nodeTitle(docNode))}">
+                            ${pair.games.map(g => `
+                                <button type="button" class="btn secondary study-game-btn" data-id="${escapeHtml(g.id)}"
+                                    title="${escapeHtml(nodeTooltip(g))}" aria-pressed="false">${studyGameLabel(g)}</button>
+                            `).join('')}
+                        </div>
+                        <button type="button" class="btn secondary" data-action="close-study" title="Lernmodus beenden" aria-label="Lernmodus beenden">✕</button>
+                    </div>
+                    <div class="study-game"></div>
+                </div>
+            </div>
+        `;
+
+        const docPane = viewBodyEl.querySelector('.study-pane--doc');
+        if (docNode.kind === 'pdf' && window.DocViewer) {
+            activeDocViewer = window.DocViewer.open(docPane, { url: docNode.id, fileId: docNode.id, name: docNode.name });
+        } else if (window.Markdown) {
+            renderTextDocument(docNode, docPane);
+        }
+
+        viewBodyEl.querySelectorAll('.study-game-btn').forEach(btn => {
+            btn.onclick = () => loadStudyGame(docNode, pair.games.find(g => g.id === btn.dataset.id));
+        });
+        viewBodyEl.querySelector('[data-action="close-study"]').onclick = () => selectNode(docNode.id);
+
+        loadStudyGame(docNode, pair.games.find(g => g.id === gameId) || pair.games[0]);
+    }
+
+    async function loadStudyGame(docNode, game) {
+        const host = viewBodyEl.querySelector('.study-game');
+        if (!host || !game) return;
+        viewBodyEl.querySelectorAll('.study-game-btn').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.id === game.id));
+        });
+        // Spielwechsel ersetzt den Verlaufseintrag (Zurück verlässt den Lernmodus)
+        writeIdToHash(docNode.id, true, game.id);
+
+        if (!PayloadStore.peek(game)) {
+            host.innerHTML = '<div style="padding:2rem; text-align:center;">Lade Spieldaten...</div>';
+        }
+        await preloadPayload(game);
+
+        // Inzwischen anderes Spiel oder andere Ansicht gewählt
+        if (!host.isConnected || readStudyFromHash() !== game.id) return;
+        host.innerHTML = '';
+        loadGame(game, host);
+    }
+
+    // --- 4. Volltextsuche (Dateinamen + Spielinhalte) ---
+
+    function initSearch() {
+        if (!searchInputEl) return;
+        searchInputEl.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => runSearch(searchInputEl.value), 150);
+        });
+        searchInputEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                searchInputEl.value = '';
+                runSearch('');
+            } else if (e.key === 'Enter') {
+                const first = searchResultsEl.querySelector('.search-result');
+                if (first) first.click();
+            }
+        });
+    }
+
+    /**
+     * Sammelt die durchsuchbaren Texte eines Payloads: Titel und die
+     * Item-Texte laut Typ-Modul (Fragen, Karten, Sets, Fallprofile, ...).
      */
-    async function rebuildIndexFromGithub() {
-        const url = window.location.href;
-        // Erwarte: https://owner.github.io/repo/
-        const match = url.match(/https?:\/\/([^.]+)\.github\.io\/([^/?#]+)/);
-        if (!match) {
-            alert("URL-Format nicht erkannt. Nutze manuelles Update.");
-            window.location.reload();
+    function collectPayloadTexts(data) {
+        return GameRegistry.searchTexts(data);
+    }
+
+    function buildSearchIndex() {
+        const entries = [];
+        const walk = (nodes, path) => {
+            nodes.forEach(node => {
+                const nodePath = [...path, node.name];
+                if (node.isFolder) {
+                    if (node.children) walk(node.children, nodePath);
+                    return;
+                }
+                entries.push({
+                    node,
+                    path: path.join(' / '),
+                    name: node.name.replace(/\.[^.]+$/, ''),
+                    // Ohne geladene Inhalte zählt nur der Titel aus den Metadaten
+                    texts: collectPayloadTexts(PayloadStore.peek(node) || node.meta)
+                });
+            });
+        };
+        walk(rootTree, []);
+        return entries;
+    }
+
+    function runSearch(rawQuery) {
+        const query = rawQuery.trim();
+        searchQuery = query.length >= SEARCH_MIN_CHARS ? query : '';
+        searchMatchIds = new Set();
+
+        if (!searchQuery) {
+            searchMetaEl.classList.add('hidden');
+            searchResultsEl.classList.add('hidden');
+            searchResultsEl.innerHTML = '';
+            renderTree();
             return;
         }
 
-        const owner = match[1];
-        const repo = match[2];
+        if (!searchIndex) searchIndex = buildSearchIndex();
+        loadSearchPayloads();
+        const needle = searchQuery.toLocaleLowerCase();
+        const results = [];
+
+        searchIndex.forEach(entry => {
+            const nameHit = entry.name.toLocaleLowerCase().includes(needle);
+            const textHit = entry.texts.find(t => t.toLocaleLowerCase().includes(needle));
+            if (!nameHit && !textHit) return;
+
+            results.push({ entry, snippet: textHit ? makeSnippet(textHit, needle) : '' });
+            searchMatchIds.add(entry.node.id);
+            (findAncestorIds(rootTree, entry.node.id) || []).forEach(id => searchMatchIds.add(id));
+        });
+
+        renderSearchResults(results);
+        renderTree();
+    }
+
+    /**
+     * Lädt beim ersten Suchen alle Payloads nach und sucht danach erneut,
+     * damit auch Fragen, Karten und Fälle gefunden werden.
+     */
+    function loadSearchPayloads() {
+        if (searchPayloadsState) return;
+        searchPayloadsState = 'loading';
+        PayloadStore.loadMany(collectJsonNodes({ isFolder: true, children: rootTree })).then(() => {
+            searchPayloadsState = 'done';
+            searchIndex = null;
+            if (searchQuery) runSearch(searchInputEl.value);
+        });
+    }
+
+    function makeSnippet(text, needle) {
+        const idx = text.toLocaleLowerCase().indexOf(needle);
+        const start = Math.max(0, idx - 30);
+        return (start > 0 ? '…' : '') + text.slice(start, idx + needle.length + 60);
+    }
+
+    function renderSearchResults(results) {
+        searchMetaEl.classList.remove('hidden');
+        searchMetaEl.textContent = results.length === 0
+            ? 'Keine Treffer.'
+            : `${results.length} Treffer${results.length > SEARCH_MAX_RESULTS ? ` (erste ${SEARCH_MAX_RESULTS})` : ''}`;
+        if (searchPayloadsState === 'loading') searchMetaEl.textContent += ' · Spielinhalte werden geladen …';
+
+        searchResultsEl.innerHTML = '';
+        searchResultsEl.classList.toggle('hidden', results.length === 0);
+
+        results.slice(0, SEARCH_MAX_RESULTS).forEach(({ entry, snippet }) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'search-result';
+            btn.title = entry.node.id;
+            btn.innerHTML = `
+                <span class="search-result-title">${highlightText(entry.name, searchQuery)}</span>
+                <span class="search-result-path">${escapeHtml(entry.path)}</span>
+                ${snippet ? `<span class="search-result-snippet">${highlightText(snippet, searchQuery)}</span>` : ''}
+            `;
+            btn.onclick = () => {
+                revealNode(entry.node.id);
+                selectNode(entry.node.id);
+            };
+            searchResultsEl.appendChild(btn);
+        });
+    }
+
+    /**
+     * Escaped den Text und umschließt alle Vorkommen der Suchanfrage mit <mark>.
+     */
+    function highlightText(text, query) {
+        if (!query) return escapeHtml(text);
+        const lower = text.toLocaleLowerCase();
+        const needle = query.toLocaleLowerCase();
+        let out = '';
+        let pos = 0;
+        let idx = lower.indexOf(needle);
+        while (idx !== -1) {
+            out += escapeHtml(text.slice(pos, idx)) + '<mark>' + escapeHtml(text.slice(idx, idx + needle.length)) + '</mark>';
+            pos = idx + needle.length;
+            idx = lower.indexOf(needle, pos);
+        }
+        return out + escapeHtml(text.slice(pos));
+    }
+
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function cssEscape(str) {
+        return window.CSS && CSS.escape ? CSS.escape(str) : String(str).replace(/["\\]/g, '\\$&');
+    }
+
+    // --- 5. Globale Hilfsfunktionen & Remote Indexing ---
 
+    /**
+     * GitHub-Quelle aus AppConfig.github; fehlen owner/repo, werden sie aus
+     * der GitHub-Pages-URL (https://<owner>.github.io/<repo>/) gelesen.
+     * @returns {{owner, repo, branch, basePath, apiBase}|null}
+     */
+    function githubSource() {
+        const cfg = {
+            owner: '',
+            repo: '',
+            branch: 'main',
+            basePath: '',
+            apiBase: 'https://api.github.com',
+            ...((window.AppConfig && window.AppConfig.github) || {})
+        };
+        const match = window.location.href.match(/https?:\/\/([^.]+)\.github\.io\/([^/?#]+)/);
+        const owner = cfg.owner || (match ? match[1] : '');
+        const repo = cfg.repo || (match ? match[2] : '');
+        if (!owner || !repo) return null;
+
+        return {
+            owner,
+            repo,
+            branch: cfg.branch || 'main',
+            basePath: String(cfg.basePath || '').replace(/^\/+|\/+$/g, ''),
+            apiBase: String(cfg.apiBase).replace(/\/+$/, '')
+        };
+    }
+
+    /**
+     * Gespeicherter GitHub-Index: { source, etag, fetchedAt, tree } oder null.
+     */
+    function readRemoteIndex() {
+        localStorage.removeItem(LEGACY_REMOTE_INDEX_KEY);
         try {
-            console.log(`Starte Remote-Indexierung für ${owner}/${repo}...`);
-            const api = `https://api.github.com/repos/${owner}/${repo}/git/trees/main?recursive=1`;
-            const resp = await fetch(api);
-            if (!resp.ok) throw new Error(`GitHub API Fehler: ${resp.status}`);
+            const stored = JSON.parse(localStorage.getItem(REMOTE_INDEX_KEY) || 'null');
+            return stored && Array.isArray(stored.tree) ? stored : null;
+        } catch (_) {
+            return null;
+        }
+    }
 
-            const data = await resp.json();
-            if (!data.tree) throw new Error("Keine Baum-Daten erhalten.");
+    function githubSourceKey(source) {
+        return `${source.owner}/${source.repo}@${source.branch}:${source.basePath}`;
+    }
 
-            // Filtere alles in 'database/'
-            const rawNodes = data.tree.filter(n => n.path.startsWith('database/') && n.path !== 'database');
-            const tree = buildTreeFromFlatList(rawNodes);
+    /**
+     * ZWECK: Scannt den 'database'-Ordner direkt über die GitHub API,
+     * damit neue Dateien ohne 'update_index.js' sofort erscheinen.
+     * Mit gespeichertem ETag als bedingte Anfrage: 304 heißt unverändert
+     * und zählt nicht gegen das API-Limit. Das Ergebnis landet im
+     * localStorage (REMOTE_INDEX_KEY), der Aufrufer tauscht den Baum aus.
+     * @returns {Promise<{changed: boolean, truncated: boolean}>}
+     */
+    async function rebuildIndexFromGithub(source) {
+        const sourceKey = githubSourceKey(source);
+        const cached = readRemoteIndex();
+        const headers = { Accept: 'application/vnd.github+json' };
+        if (cached && cached.source === sourceKey && cached.etag) headers['If-None-Match'] = cached.etag;
+
+        console.log(`Starte Remote-Indexierung für ${sourceKey}...`);
+        const branch = source.branch.split('/').map(encodeURIComponent).join('/');
+        const api = `${source.apiBase}/repos/${encodeURIComponent(source.owner)}/${encodeURIComponent(source.repo)}/git/trees/${branch}?recursive=1`;
+        const resp = await fetch(api, { headers, cache: 'no-store' });
+        if (resp.status === 304) return { changed: false, truncated: false };
+        if (!resp.ok) throw new Error(githubErrorText(resp, source));
+
+        const data = await resp.json();
+        if (!data.tree) throw new Error("Keine Baum-Daten erhalten.");
+
+        // Nur 'database/' unterhalb des Basis-Pfads, IDs relativ zu index.html
+        const prefix = source.basePath ? `${source.basePath}/` : '';
+        const rawNodes = data.tree
+            .filter(n => n.path.startsWith(`${prefix}database/`))
+            .map(n => ({ ...n, path: n.path.slice(prefix.length) }));
+        if (rawNodes.length === 0) throw new Error(`Kein Ordner "${prefix}database" im Branch "${source.branch}".`);
+
+        localStorage.setItem(REMOTE_INDEX_KEY, JSON.stringify({
+            source: sourceKey,
+            etag: resp.headers.get('ETag'),
+            fetchedAt: Date.now(),
+            tree: buildTreeFromFlatList(rawNodes)
+        }));
+        return { changed: true, truncated: !!data.truncated };
+    }
 
-            localStorage.setItem('pauker_remote_index_v1', JSON.stringify(tree));
-            alert("Index erfolgreich von GitHub aktualisiert!");
-            window.location.reload();
-        } catch (err) {
-            alert("Remote-Update fehlgeschlagen (evtl. API-Limit überschritten?): " + err.message);
-            window.location.reload();
+    function githubErrorText(resp, source) {
+        if ((resp.status === 403 || resp.status === 429) && resp.headers.get('X-RateLimit-Remaining') === '0') {
+            const reset = Number(resp.headers.get('X-RateLimit-Reset')) * 1000;
+            return 'API-Limit überschritten' + (reset ? `, wieder möglich ab ${new Date(reset).toLocaleTimeString('de-DE')}` : '') + '.';
         }
+        if (resp.status === 404) return `Repository oder Branch nicht gefunden (${source.owner}/${source.repo}, Branch "${source.branch}").`;
+        return `GitHub API Fehler: ${resp.status}`;
+    }
+
+    /**
+     * Führt den GitHub-Baum mit dem mitgelieferten Index (app_index.js) zusammen:
+     * Unveränderte Dateien (gleiche Git-SHA bzw. Größe) behalten Metadaten und
+     * Shard, neue oder geänderte werden ohne Shard direkt über node.id geladen.
+     */
+    function mergeRemoteIndex(remoteTree, bundledTree) {
+        const bundled = new Map();
+        (function walk(nodes) {
+            nodes.forEach(n => {
+                if (n.isFolder) walk(n.children || []);
+                else bundled.set(n.id, n);
+            });
+        })(bundledTree);
+
+        const merge = (nodes) => nodes.map(n => {
+            if (n.isFolder) return { ...n, children: merge(n.children || []) };
+            const local = bundled.get(n.id);
+            return local && sameFileContent(n, local) ? { ...local, sha: n.sha } : n;
+        });
+        return merge(remoteTree);
+    }
+
+    function sameFileContent(remote, local) {
+        if (!remote.sha || !local.meta) return false;
+        // meta.hash = Anfang der Git-Blob-SHA (tools/update_index.js)
+        if (local.kind === 'json') return !!local.meta.hash && remote.sha.startsWith(local.meta.hash);
+        return !!remote.meta && remote.meta.bytes === local.meta.bytes;
     }
 
     /**
@@ -489,10 +1971,18 @@
                     if (isFolder) {
                         node.children = [];
                     } else {
+                        // SHA/Größe für den Abgleich mit app_index.js (mergeRemoteIndex) und den Payload-Cache
+                        if (n.sha) node.sha = n.sha;
                         const ext = part.split('.').pop().toLowerCase();
                         if (ext === 'json') node.kind = 'json';
                         else if (ext === 'pdf') node.kind = 'pdf';
                         else if (ext === 'pptx' || ext === 'ppt') node.kind = 'pptx';
+                        else if (ext === 'txt') node.kind = 'text';
+                        else if (ext === 'md' || ext === 'markdown') node.kind = 'markdown';
+
+                        // Spieltyp vorläufig aus dem Dateinamen ("… AP1-QQ01.json"), bis das Payload geladen ist
+                        if (node.kind === 'json' && n.sha) node.meta = { hash: n.sha.slice(0, 12), game_type: GameRegistry.typeFromFileName(part) };
+                        else if (node.kind && typeof n.size === 'number') node.meta = { bytes: n.size };
                     }
 
                     map[currentPath] = node;
@@ -505,6 +1995,394 @@
         return root;
     }
 
+    // --- 6. Offline-Modus (Service Worker, siehe sw.js) ---
+
+    /**
+     * Build-Kennung des aktuellen Index: aus app_index.js oder – beim
+     * GitHub-Index ohne Build – ein Fingerabdruck über alle Datei-IDs und
+     * -SHAs (geänderte Inhalte → neuer Service Worker mit frischen Caches).
+     */
+    function currentIndexBuild() {
+        if (rootTree === window.DATABASE_INDEX && window.DATABASE_INDEX_BUILD) {
+            return window.DATABASE_INDEX_BUILD;
+        }
+        const ids = [];
+        (function walk(nodes) {
+            nodes.forEach(n => {
+                ids.push(n.sha ? `${n.id}@${n.sha}` : n.id);
+                if (n.children) walk(n.children);
+            });
+        })(rootTree);
+        const str = ids.join('|');
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        return 'remote-' + (hash >>> 0).toString(36);
+    }
+
+    function registerServiceWorker() {
+        // file:// und alte Browser: kein Offline-Modus, App läuft trotzdem
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        const appVersion = (window.AppConfig && window.AppConfig.version) || '0';
+        const version = `${appVersion}-${currentIndexBuild()}`;
+        const payloadUrls = [...new Set(collectJsonNodes({ isFolder: true, children: rootTree }).map(PayloadStore.urlFor))];
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'precache-done') {
+                precacheResult = { cached: e.data.cached, failed: e.data.failed };
+            }
+        });
+
+        navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(version)}`)
+            .then(reg => {
+                // Erst an den Worker dieser Version schicken, sobald er aktiv ist
+                const worker = reg.installing || reg.waiting || reg.active;
+                if (!worker) return;
+                const send = () => worker.postMessage({ type: 'precache', urls: payloadUrls });
+                if (worker.state === 'activated') {
+                    send();
+                } else {
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'activated') send();
+                    });
+                }
+            })
+            .catch(err => console.warn('Service Worker konnte nicht registriert werden:', err));
+    }
+
+    // --- 7. Live-Reload (Dev-Server, siehe tools/update_index.js --serve) ---
+
+    const DEV_EVENTS_URL = '__pauker_events';
+    const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+    /**
+     * Verbindet sich mit dem Dev-Server. Der meldet beim Verbinden und nach
+     * jedem Rebuild die Build-ID von app_index.js. Nur auf localhost.
+     */
+    function connectDevServer() {
+        if (!window.EventSource || !DEV_HOSTS.includes(window.location.hostname)) return;
+
+        const source = new EventSource(DEV_EVENTS_URL);
+        const onBuild = (e) => {
+            const { build } = JSON.parse(e.data);
+            reloadLocalIndex(build).catch(err => console.warn('Index konnte nicht neu geladen werden:', err));
+        };
+        source.addEventListener('hello', onBuild);
+        source.addEventListener('index', onBuild);
+        // Anderer Server ohne Event-Endpunkt (404): nicht endlos neu verbinden
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) source.close();
+        };
+    }
+
+    /**
+     * Lädt app_index.js am Cache vorbei neu und zeichnet den Baum neu.
+     * Die offene Ansicht wird nur neu geladen, wenn sich ihr Inhalt geändert hat.
+     */
+    async function reloadLocalIndex(build) {
+        if (!build || build === window.DATABASE_INDEX_BUILD) return;
+        // Ein Index von GitHub (localStorage) hat Vorrang und bleibt stehen
+        if (rootTree !== window.DATABASE_INDEX) return;
+
+        await fetchLocalIndex();
+        replaceRootTree(window.DATABASE_INDEX || []);
+    }
+
+    /**
+     * Führt app_index.js frisch vom Server aus (setzt window.DATABASE_INDEX*).
+     */
+    async function fetchLocalIndex() {
+        const resp = await fetch('app_index.js', { cache: 'no-store' });
+        if (!resp.ok) throw new Error(`app_index.js nicht geladen (${resp.status}).`);
+        const script = document.createElement('script');
+        script.textContent = await resp.text();
+        document.head.appendChild(script);
+        script.remove();
+    }
+
+    /**
+     * Tauscht den Baum aus und zeichnet Baum und Suche neu. Die offene Ansicht
+     * wird nur neu geladen, wenn sich ihr Inhalt geändert hat.
+     */
+    function replaceRootTree(tree) {
+        const before = appState.selectedId ? findNode(rootTree, appState.selectedId) : null;
+        const beforeHash = before && before.meta ? before.meta.hash : null;
+
+        rootTree = tree;
+        searchIndex = null;
+        searchPayloadsState = null;
+        renderTree();
+        if (searchQuery) runSearch(searchInputEl.value);
+
+        if (!appState.selectedId) return;
+        const node = findNode(rootTree, appState.selectedId);
+        const hash = node && node.meta ? node.meta.hash : null;
+        if (!node || node.isFolder || hash !== beforeHash) renderViewForId(appState.selectedId);
+    }
+
+    // --- 8. Speicher & Cache (Einstellungen-Panel) ---
+
+    const OFFLINE_CONTENT_CACHES = ['pauker-data-', 'pauker-docs-'];   // Cache-Namen aus sw.js
+    let storagePanelOpener = null;
+
+    // Bereiche mit eigener Aktion; der Lernfortschritt braucht eine zweite Bestätigung
+    const STORAGE_SECTIONS = [
+        { id: 'index', title: 'Inhaltsindex', action: 'Index aktualisieren' },
+        { id: 'payloads', title: 'Zwischengespeicherte Inhalte', action: 'Inhalte leeren' },
+        { id: 'ui', title: 'Oberfläche', action: 'Zurücksetzen' },
+        { id: 'progress', title: 'Lernfortschritt', action: 'Zurücksetzen …', confirm: 'Wirklich alles löschen' }
+    ];
+
+    function initStoragePanel() {
+        if (!storagePanelBtn || !storagePanelEl) return;
+        storagePanelBtn.addEventListener('click', openStoragePanel);
+        storagePanelEl.addEventListener('click', (e) => {
+            if (e.target === storagePanelEl || e.target.closest('[data-action="close"]')) closeStoragePanel();
+        });
+        storagePanelEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeStoragePanel();
+        });
+    }
+
+    function openStoragePanel() {
+        storagePanelOpener = document.activeElement;
+        storagePanelEl.classList.add('active');
+        storagePanelEl.setAttribute('aria-hidden', 'false');
+        renderStoragePanel().then(() => {
+            const first = storagePanelBodyEl.querySelector('button');
+            if (first) first.focus();
+        });
+    }
+
+    function closeStoragePanel() {
+        storagePanelEl.classList.remove('active');
+        storagePanelEl.setAttribute('aria-hidden', 'true');
+        if (storagePanelOpener && storagePanelOpener.focus) storagePanelOpener.focus();
+        storagePanelOpener = null;
+    }
+
+    function localKeys(storage, predicate) {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (predicate(key)) keys.push(key);
+        }
+        return keys;
+    }
+
+    // Web Storage speichert UTF-16: 2 Byte pro Zeichen (Key + Wert)
+    function storageBytes(storage, keys) {
+        return keys.reduce((sum, key) => sum + (key.length + (storage.getItem(key) || '').length) * 2, 0);
+    }
+
+    /**
+     * Dateien und Größe der Offline-Caches für Spielinhalte und Dokumente.
+     */
+    async function offlineCacheUsage() {
+        const usage = { names: [], files: 0, bytes: 0 };
+        if (!window.caches) return usage;
+        usage.names = (await caches.keys()).filter(name => OFFLINE_CONTENT_CACHES.some(prefix => name.startsWith(prefix)));
+        for (const name of usage.names) {
+            const cache = await caches.open(name);
+            for (const request of await cache.keys()) {
+                const response = await cache.match(request);
+                usage.files++;
+                usage.bytes += Number(response && response.headers.get('Content-Length')) || 0;
+            }
+        }
+        return usage;
+    }
+
+    function formatDateTime(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleString('de-DE', { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    function sizeLabel(bytes) {
+        return bytes > 0 ? formatBytes(bytes) : '–';
+    }
+
+    /**
+     * Beschreibung und Speicherbedarf je Bereich.
+     */
+    async function collectStorageInfo() {
+        const remote = readRemoteIndex();
+        const source = githubSource();
+        const builtAt = formatDateTime(window.DATABASE_INDEX_BUILT_AT);
+        const bundled = window.DATABASE_INDEX_BUILD
+            ? `app_index.js: Build ${window.DATABASE_INDEX_BUILD}${builtAt ? ` vom ${builtAt}` : ''}`
+            : 'app_index.js fehlt (node tools/update_index.js)';
+        const indexLines = remote
+            ? [`GitHub: ${remote.source} · abgerufen am ${formatDateTime(remote.fetchedAt)}`, bundled]
+            : [bundled];
+        indexLines.push(source
+            ? `Aktualisieren fragt ${source.owner}/${source.repo} (Branch ${source.branch}) über die GitHub API.`
+            : 'Aktualisieren lädt app_index.js neu vom Server.');
+
+        const payloadKeys = PayloadStore.storedKeys();
+        const offline = await offlineCacheUsage();
+
+        const uiKeys = [STATE_KEY, THEME_KEY, window.DocViewer && window.DocViewer.PAGES_KEY]
+            .filter(key => key && localStorage.getItem(key) !== null);
+
+        const sessionKeys = localKeys(localStorage, key => key.startsWith(GAME_SESSION_PREFIX));
+        const progressKeys = [window.ProgressStore && ProgressStore.STORAGE_KEY, window.LeitnerStore && LeitnerStore.STORAGE_KEY]
+            .filter(key => key && localStorage.getItem(key) !== null);
+        const results = window.ProgressStore ? Object.keys(ProgressStore.getAll()).length : 0;
+        const items = window.LeitnerStore ? LeitnerStore.countItems() : 0;
+
+        return {
+            index: {
+                bytes: remote
+                    ? storageBytes(localStorage, [REMOTE_INDEX_KEY])
+                    : JSON.stringify(window.DATABASE_INDEX || []).length,
+                lines: indexLines,
+                extra: remote ? { action: 'drop-remote', label: 'GitHub-Index verwerfen' } : null
+            },
+            payloads: {
+                bytes: storageBytes(sessionStorage, payloadKeys) + offline.bytes,
+                lines: [
+                    `Sitzung: ${payloadKeys.filter(k => k.startsWith(PayloadStore.SESSION_PREFIX)).length} Spiel-Payloads (${sizeLabel(storageBytes(sessionStorage, payloadKeys))})`,
+                    window.caches
+                        ? `Offline-Cache: ${offline.files} Dateien (${sizeLabel(offline.bytes)})`
+                        : 'Offline-Cache: in diesem Browser nicht verfügbar',
+                    ...(precacheResult
+                        ? [`Vorab geladen: ${precacheResult.cached} Spielinhalte bereit, ${precacheResult.failed} fehlgeschlagen`]
+                        : []),
+                    'Lernstand und Oberfläche bleiben erhalten.'
+                ]
+            },
+            ui: {
+                bytes: storageBytes(localStorage, uiKeys),
+                lines: ['Geöffnete Ordner, Auswahl, Drawer-Breite, Filter, Theme und zuletzt gelesene PDF-Seiten.']
+            },
+            progress: {
+                bytes: storageBytes(localStorage, [...progressKeys, ...sessionKeys]),
+                lines: [`${results} Spiele mit Ergebnissen, ${items} Leitner-Karten, ${sessionKeys.length} angefangene Spielstände.`]
+            }
+        };
+    }
+
+    async function renderStoragePanel(status = {}) {
+        const info = await collectStorageInfo();
+        let estimateHtml = '';
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                estimateHtml = `<p class="storage-total">Browser-Speicher dieser Seite insgesamt: ${sizeLabel(estimate.usage)} von ${sizeLabel(estimate.quota)}</p>`;
+            } catch (_) { }
+        }
+
+        storagePanelBodyEl.innerHTML = STORAGE_SECTIONS.map(section => {
+            const data = info[section.id];
+            const note = status[section.id];
+            return `
+                <section class="storage-item" data-section="${section.id}">
+                    <div class="storage-item-head">
+                        <strong>${section.title}</strong>
+                        <span class="storage-size">${sizeLabel(data.bytes)}</span>
+                    </div>
+                    ${data.lines.map(line => `<div class="storage-line">${escapeHtml(line)}</div>`).join('')}
+                    <div class="storage-actions">
+                        <button type="button" class="btn secondary" data-action="${section.id}">${section.action}</button>
+                        ${data.extra ? `<button type="button" class="btn secondary" data-action="${data.extra.action}">${data.extra.label}</button>` : ''}
+                    </div>
+                    <div class="storage-status${note && note.error ? ' storage-status--error' : ''}" aria-live="polite">${note ? escapeHtml(note.text) : ''}</div>
+                </section>
+            `;
+        }).join('') + estimateHtml;
+
+        storagePanelBodyEl.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.onclick = () => runStorageAction(btn);
+        });
+    }
+
+    async function runStorageAction(btn) {
+        const action = btn.dataset.action;
+        const section = STORAGE_SECTIONS.find(s => s.id === action);
+        const sectionId = section ? section.id : btn.closest('.storage-item').dataset.section;
+
+        // Zweistufig: erster Klick fragt nach, zweiter löscht
+        if (section && section.confirm && btn.dataset.armed !== 'true') {
+            btn.dataset.armed = 'true';
+            btn.textContent = section.confirm;
+            btn.classList.add('storage-danger');
+            btn.closest('.storage-item').querySelector('.storage-status').textContent = 'Ergebnisse, Leitner-Karten und Spielstände werden gelöscht. Das lässt sich nicht rückgängig machen.';
+            return;
+        }
+
+        storagePanelBodyEl.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        let note;
+        try {
+            note = { text: await STORAGE_ACTIONS[action]() };
+        } catch (err) {
+            note = { text: `Fehlgeschlagen: ${err.message}`, error: true };
+        }
+        await renderStoragePanel({ [sectionId]: note });
+        const again = storagePanelBodyEl.querySelector(`[data-section="${sectionId}"] button`);
+        if (again) again.focus();
+    }
+
+    // Jede Aktion liefert die Statusmeldung für ihren Bereich
+    const STORAGE_ACTIONS = {
+        async index() {
+            const source = githubSource();
+            if (source) {
+                const result = await rebuildIndexFromGithub(source);
+                if (!result.changed) return 'Index ist aktuell – auf GitHub hat sich nichts geändert (zählt nicht gegen das API-Limit).';
+                replaceRootTree(mergeRemoteIndex(readRemoteIndex().tree, window.DATABASE_INDEX || []));
+                return 'Index von GitHub aktualisiert.' + (result.truncated ? ' Achtung: Die GitHub API hat den Baum gekürzt, es fehlen Dateien.' : '');
+            }
+            const before = window.DATABASE_INDEX_BUILD;
+            await fetchLocalIndex();
+            const remote = readRemoteIndex();
+            replaceRootTree(remote ? mergeRemoteIndex(remote.tree, window.DATABASE_INDEX || []) : (window.DATABASE_INDEX || []));
+            return window.DATABASE_INDEX_BUILD === before
+                ? `app_index.js ist aktuell (Build ${before}).`
+                : `app_index.js neu geladen (Build ${window.DATABASE_INDEX_BUILD}).`;
+        },
+
+        async 'drop-remote'() {
+            localStorage.removeItem(REMOTE_INDEX_KEY);
+            replaceRootTree(window.DATABASE_INDEX || []);
+            return 'GitHub-Index verworfen, es gilt wieder app_index.js.';
+        },
+
+        async payloads() {
+            const count = PayloadStore.storedKeys().filter(k => k.startsWith(PayloadStore.SESSION_PREFIX)).length;
+            PayloadStore.purge();
+            searchPayloadsState = null;
+            const usage = await offlineCacheUsage();
+            await Promise.all(usage.names.map(name => caches.delete(name)));
+            return `${count} Spiel-Payloads und ${usage.files} Offline-Dateien entfernt. Inhalte werden beim nächsten Öffnen neu geladen.`;
+        },
+
+        async ui() {
+            [STATE_KEY, THEME_KEY, window.DocViewer && window.DocViewer.PAGES_KEY].forEach(key => {
+                if (key) localStorage.removeItem(key);
+            });
+            // Auswahl bleibt für die offene Ansicht bestehen, wird aber nicht mehr gespeichert
+            const selectedId = appState.selectedId;
+            appState = JSON.parse(JSON.stringify(DEFAULT_APP_STATE));
+            appState.selectedId = selectedId;
+            initTheme();
+            applyDrawerState();
+            renderTree();
+            return 'Oberfläche zurückgesetzt.';
+        },
+
+        async progress() {
+            if (window.ProgressStore) ProgressStore.clear();
+            if (window.LeitnerStore) LeitnerStore.clear();
+            localKeys(localStorage, key => key.startsWith(GAME_SESSION_PREFIX)).forEach(key => localStorage.removeItem(key));
+            renderTree();
+            if (appState.selectedId && (findNode(rootTree, appState.selectedId) || {}).isFolder) renderViewForId(appState.selectedId);
+            return 'Lernfortschritt gelöscht.';
+        }
+    };
+
     // Initialize
     init();
 
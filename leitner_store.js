@@ -0,0 +1,249 @@
+/**
+ * ============================================================================
+ * leitner_store.js - Spaced Repetition (Leitner-Boxen) für alle Spiele
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Merkt sich pro Lern-Item (Frage, Fall, Set, Karte ...), wie sicher es sitzt.
+ * Jedes Item liegt in einer von fünf Leitner-Boxen und hat ein Fälligkeitsdatum.
+ * Die Daten liegen lokal im localStorage und überleben damit Reloads.
+ *
+ * LEITNER-REGELN:
+ * ---------------
+ * - Neue Items starten in Box 1 und sind sofort fällig
+ * - Richtig beantwortet: eine Box höher (max. Box 5)
+ * - Falsch beantwortet: zurück in Box 1 (sofort wieder fällig)
+ * - Abstand bis zur nächsten Fälligkeit je Box: 0, 1, 3, 7, 14 Tage
+ *
+ * VERWENDUNG:
+ * -----------
+ * Die Spiele nutzen die Store-Funktionen nicht direkt, sondern die Helfer
+ * in GameBase (recordItemResult, sortByDue, pickDue). Direkt:
+ *   LeitnerStore.record(fileId, itemId, true);
+ *   const ordered = LeitnerStore.sortByDue(fileId, items, item => item.id);
+ *
+ * SPEICHERFORMAT:
+ * ---------------
+ * Key: 'paukerLeitner_v1'
+ * {
+ *     "<fileId>": {
+ *         "<itemId>": { "box": 2, "dueAt": 1700000000000, "lastSeen": ..., "seen": 3, "correct": 2 }
+ *     }
+ * }
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'paukerLeitner_v1';
+    const BOX_COUNT = 5;
+    const INTERVAL_DAYS = [0, 1, 3, 7, 14];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function readAll() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    function writeAll(all) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Leitner-Daten konnten nicht gespeichert werden:', e);
+        }
+    }
+
+    function getEntry(fileId, itemId) {
+        const file = readAll()[fileId];
+        return (file && file[itemId]) || null;
+    }
+
+    /**
+     * Anzahl aller gemerkten Items über alle Dateien.
+     */
+    function countItems() {
+        const all = readAll();
+        return Object.keys(all).reduce((sum, fileId) => sum + Object.keys(all[fileId] || {}).length, 0);
+    }
+
+    /**
+     * Löscht alle Leitner-Daten (Einstellungen → Lernfortschritt zurücksetzen).
+     */
+    function clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * Verbucht ein Ergebnis und verschiebt das Item in die passende Box.
+     * @returns {Object} der aktualisierte Eintrag
+     */
+    function record(fileId, itemId, correct, now) {
+        const ts = typeof now === 'number' ? now : Date.now();
+        const all = readAll();
+        const file = all[fileId] || (all[fileId] = {});
+        const prev = file[itemId] || { box: 1, seen: 0, correct: 0 };
+
+        const box = correct ? Math.min(prev.box + 1, BOX_COUNT) : 1;
+        const entry = {
+            box,
+            dueAt: ts + INTERVAL_DAYS[box - 1] * DAY_MS,
+            lastSeen: ts,
+            seen: prev.seen + 1,
+            correct: prev.correct + (correct ? 1 : 0)
+        };
+
+        file[itemId] = entry;
+        writeAll(all);
+        return entry;
+    }
+
+    function isDue(entry, now) {
+        if (!entry) return true; // Unbekannte Items sind immer fällig
+        return entry.dueAt <= (typeof now === 'number' ? now : Date.now());
+    }
+
+    /**
+     * Sortierschlüssel: fällige Items zuerst (niedrige Box vor hoher Box),
+     * danach die noch nicht fälligen nach Fälligkeitsdatum.
+     * getId darf eine ID oder ein Array von IDs liefern (z. B. alle Fragen
+     * einer Escape-Sektion); dann zählt das dringendste Item.
+     */
+    function rankOf(file, ids, now) {
+        const list = Array.isArray(ids) ? ids : [ids];
+        let best = null;
+        list.forEach(id => {
+            const entry = file[id] || null;
+            const rank = isDue(entry, now)
+                ? [0, entry ? entry.box : 1, 0]
+                : [1, entry.box, entry.dueAt];
+            if (!best || compareRank(rank, best) < 0) best = rank;
+        });
+        return best || [0, 1, 0];
+    }
+
+    function compareRank(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Liefert eine neue, stabil sortierte Kopie: fällige Items zuerst.
+     * Die Eingabereihenfolge (meist bereits gemischt) bleibt innerhalb
+     * gleich dringender Items erhalten.
+     */
+    function sortByDue(fileId, items, getId, now) {
+        if (!Array.isArray(items)) return items;
+        const ts = typeof now === 'number' ? now : Date.now();
+        const file = readAll()[fileId] || {};
+        return items
+            .map((item, idx) => ({ item, idx, rank: rankOf(file, getId(item), ts) }))
+            .sort((a, b) => compareRank(a.rank, b.rank) || a.idx - b.idx)
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Zieht ein Item aus der Fälligkeits-Warteschlange.
+     * Zufällig unter allen fälligen Items der dringendsten Box; ist nichts
+     * fällig, zufällig aus dem gesamten Pool (freies Üben).
+     * @param {Object} [options]
+     * @param {*} [options.exclude]   Item, das nicht direkt wiederholt werden soll
+     * @param {Function} [options.random] Zufallsquelle (Default: Math.random)
+     */
+    function pickDue(fileId, items, getId, options) {
+        const opts = options || {};
+        const random = opts.random || Math.random;
+        let pool = Array.isArray(items) ? items : [];
+        if (pool.length > 1 && opts.exclude !== undefined) {
+            pool = pool.filter(item => item !== opts.exclude);
+        }
+        if (pool.length === 0) return null;
+
+        const ts = Date.now();
+        const file = readAll()[fileId] || {};
+        const ranked = pool.map(item => ({ item, rank: rankOf(file, getId(item), ts) }));
+        ranked.sort((a, b) => compareRank(a.rank, b.rank));
+
+        const head = ranked[0].rank;
+        const candidates = head[0] === 0
+            ? ranked.filter(r => r.rank[0] === 0 && r.rank[1] === head[1])
+            : ranked;
+        return candidates[Math.floor(random() * candidates.length)].item;
+    }
+
+    /**
+     * Kennzahlen für eine Datei (z. B. für Dashboards und Filter).
+     * @param {string[]} [itemIds] bekannte Item-IDs; ungesehene zählen als fällig
+     */
+    function getFileStats(fileId, itemIds, now) {
+        const ts = typeof now === 'number' ? now : Date.now();
+        const file = readAll()[fileId] || {};
+        const ids = Array.isArray(itemIds) ? itemIds : Object.keys(file);
+        const boxes = new Array(BOX_COUNT).fill(0);
+        let seen = 0;
+        let due = 0;
+
+        ids.forEach(id => {
+            const entry = file[id] || null;
+            if (entry) {
+                seen++;
+                boxes[entry.box - 1]++;
+            }
+            if (isDue(entry, ts)) due++;
+        });
+
+        return { total: ids.length, seen, due, boxes };
+    }
+
+    /**
+     * Dateien, in denen mindestens ein schon gesehenes Item wieder fällig ist
+     * (ungesehene Items zählen hier nicht – sonst wäre jedes neue Spiel fällig).
+     * @returns {Set<string>} fileIds
+     */
+    function getDueFileIds(now) {
+        const ts = typeof now === 'number' ? now : Date.now();
+        const all = readAll();
+        const due = new Set();
+        Object.keys(all).forEach(fileId => {
+            const file = all[fileId] || {};
+            if (Object.keys(file).some(id => isDue(file[id], ts))) due.add(fileId);
+        });
+        return due;
+    }
+
+    /**
+     * Stabile Kurz-ID für Items ohne eigenes "id"-Feld (z. B. Quick-Quiz-Fragen).
+     */
+    function itemIdFromText(text) {
+        const str = String(text || '');
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        return 't' + (hash >>> 0).toString(36);
+    }
+
+    window.LeitnerStore = {
+        STORAGE_KEY,
+        BOX_COUNT,
+        getEntry,
+        countItems,
+        clear,
+        record,
+        isDue,
+        sortByDue,
+        pickDue,
+        getFileStats,
+        getDueFileIds,
+        itemIdFromText
+    };
+})();
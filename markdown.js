@@ -0,0 +1,373 @@
+/**
+ * ============================================================================
+ * markdown.js - Sicherer Markdown-Renderer für Merkblätter und Cheatsheets
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Stellt .md-Dateien aus database/ direkt in der Inhaltsansicht dar
+ * (und .txt-Dateien als vorformatierten Text). Unterstützt wird der übliche
+ * Umfang für Lernzettel:
+ * - Überschriften (# … / Setext), Absätze, harte Umbrüche (zwei Leerzeichen)
+ * - Listen (auch verschachtelt und nummeriert), Zitate, Trennlinien
+ * - Code-Blöcke (``` / ~~~) und `Inline-Code`
+ * - **fett**, *kursiv*, ~~durchgestrichen~~
+ * - Links, Bilder und <https://autolinks>
+ * - Tabellen (GitHub-Stil, mit Ausrichtung)
+ *
+ * SICHERHEIT:
+ * -----------
+ * Die Dateien kommen auch aus fremden Repos (GitHub-Index). Deshalb wird
+ * ALLES zuerst HTML-escaped – eingebettetes HTML erscheint als Text, nicht
+ * als Markup. Erzeugt werden nur die Tags oben. Link- und Bildadressen
+ * laufen durch safeUrl(): erlaubt sind http(s), mailto (nur Links) und
+ * relative Pfade; javascript:, data: usw. fallen weg (nur der Text bleibt).
+ *
+ * VERWENDUNG:
+ * -----------
+ *   el.innerHTML = Markdown.render(text, {
+ *       resolveUrl: (url, isImage) => url   // optional: relative Pfade umschreiben
+ *   });
+ *   el.innerHTML = Markdown.renderPlain(text);   // .txt → <pre>
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+    const IMAGE_SCHEMES = ['http:', 'https:'];
+    const MAX_NESTING = 8;
+
+    // Platzhalter für bereits fertiges HTML (Code-Spans, Links) im Fließtext
+    const SLOT = '\u0000';
+
+    const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+    const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+    const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE_RE = /^ {0,3}>\s?/;
+    const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    const SETEXT_RE = /^ {0,3}(=+|-+)\s*$/;
+
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function unescapeHtml(str) {
+        return String(str)
+            .replace(/&#39;/g, "'")
+            .replace(/&quot;/g, '"')
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Prüft eine (unescapte) Adresse. Liefert sie zurück oder null.
+     */
+    function safeUrl(url, isImage) {
+        // Steuerzeichen/Leerraum ignorieren Browser beim Schema ("java\tscript:")
+        const compact = String(url).replace(/[\u0000- \u007f]/g, '');
+        if (!compact) return null;
+        const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(compact);
+        if (!scheme) return compact.startsWith('//') ? null : url;
+        return (isImage ? IMAGE_SCHEMES : LINK_SCHEMES).includes(scheme[1].toLowerCase()) ? url : null;
+    }
+
+    function indentOf(line) {
+        return /^\s*/.exec(line)[0].replace(/\t/g, '    ').length;
+    }
+
+    function isClosingFence(line, marker) {
+        const trimmed = line.trim();
+        return trimmed.length >= marker.length && trimmed === marker[0].repeat(trimmed.length);
+    }
+
+    function isBlank(line) {
+        return !line || !line.trim();
+    }
+
+    // --- Inline ---
+
+    function renderInline(text, opts) {
+        const slots = [];
+        const keep = (html) => `${SLOT}${slots.push(html) - 1}${SLOT}`;
+        let out = String(text).replace(new RegExp(SLOT, 'g'), '');
+
+        // Code-Spans zuerst: darin gilt keine weitere Syntax
+        out = out.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, __, code) => keep(`<code>${escapeHtml(code.trim())}</code>`));
+        // Backslash-Escapes (\* \_ \[ …)
+        out = out.replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (_, ch) => keep(escapeHtml(ch)));
+
+        out = escapeHtml(out);
+
+        // Bilder und Links: [Text](Adresse "Titel"), Klammern in der Adresse nur paarweise
+        out = out.replace(/(!?)\[([^\]]*)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, bang, label, rawUrl, title) => {
+            const isImage = bang === '!';
+            let url = safeUrl(unescapeHtml(rawUrl), isImage);
+            if (url !== null && opts.resolveUrl) url = opts.resolveUrl(url, isImage);
+            const titleAttr = title ? ` title="${title}"` : '';
+            if (url === null || url === undefined) return label;
+            const href = escapeHtml(url);
+            if (isImage) return keep(`<img src="${href}" alt="${label}"${titleAttr} loading="lazy">`);
+            return keep(linkHtml(href, url, renderEmphasis(label), titleAttr));
+        });
+
+        // Autolinks: <https://…>
+        out = out.replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/gi, (match, url) => {
+            return keep(linkHtml(url, unescapeHtml(url), url, ''));
+        });
+
+        out = renderEmphasis(out);
+        // Harte Umbrüche: zwei Leerzeichen oder Backslash am Zeilenende
+        out = out.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+        // Platzhalter können verschachtelt sein (Code-Span im Linktext)
+        const slotRe = new RegExp(`${SLOT}(\\d+)${SLOT}`, 'g');
+        for (let pass = 0; pass < 3 && out.includes(SLOT); pass++) {
+            out = out.replace(slotRe, (_, idx) => slots[Number(idx)]);
+        }
+        return out;
+    }
+
+    function renderEmphasis(html) {
+        return html
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+
+    function linkHtml(href, rawUrl, labelHtml, titleAttr) {
+        // Externe Links nicht in der App öffnen (sonst ist der Lernstand-Tab weg)
+        const external = /^(https?:)?\/\//i.test(rawUrl);
+        const target = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${href}"${titleAttr}${target}>${labelHtml || href}</a>`;
+    }
+
+    // --- Blöcke ---
+
+    function startsBlock(line) {
+        return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line)
+            || QUOTE_RE.test(line) || LIST_RE.test(line);
+    }
+
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        // Escapte Pipes (\|) gehören zum Zelleninhalt
+        return row.replace(/\\\|/g, SLOT).split('|').map(cell => cell.replace(new RegExp(SLOT, 'g'), '\\|').trim());
+    }
+
+    function renderTable(lines, opts) {
+        const head = splitTableRow(lines[0]);
+        const aligns = splitTableRow(lines[1]).map(cell => {
+            if (/^:-+:$/.test(cell)) return 'center';
+            if (/^-+:$/.test(cell)) return 'right';
+            if (/^:-+$/.test(cell)) return 'left';
+            return '';
+        });
+        const cell = (tag, text, idx) => {
+            const align = aligns[idx] ? ` style="text-align:${aligns[idx]}"` : '';
+            return `<${tag}${align}>${renderInline(text, opts)}</${tag}>`;
+        };
+        const body = lines.slice(2).map(line => {
+            const cells = splitTableRow(line);
+            return '<tr>' + head.map((_, idx) => cell('td', cells[idx] || '', idx)).join('') + '</tr>';
+        });
+        return '<div class="md-table"><table><thead><tr>' + head.map((text, idx) => cell('th', text, idx)).join('')
+            + '</tr></thead>' + (body.length ? `<tbody>${body.join('')}</tbody>` : '') + '</table></div>';
+    }
+
+    /**
+     * Liest eine Liste ab Zeile "start". Ein Eintrag umfasst alle folgenden
+     * Zeilen, die tiefer eingerückt sind (oder Fließtext ohne Leerzeile).
+     * @returns {{html: string, next: number}}
+     */
+    function renderList(lines, start, opts, depth) {
+        const first = LIST_RE.exec(lines[start]);
+        const baseIndent = indentOf(first[1]);
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const m = LIST_RE.exec(lines[i]);
+            if (!m || indentOf(m[1]) !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+
+            const contentIndent = m[0].length - m[3].length;
+            const body = [m[3]];
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (isBlank(line)) {
+                    // Leerzeile gehört nur dazu, wenn eingerückter Inhalt folgt
+                    const nextIdx = lines.findIndex((l, idx) => idx > i && !isBlank(l));
+                    if (nextIdx === -1 || indentOf(lines[nextIdx]) <= baseIndent) break;
+                    loose = loose || !LIST_RE.test(lines[nextIdx]);
+                    body.push('');
+                    i++;
+                    continue;
+                }
+                const indent = indentOf(line);
+                if (indent > baseIndent) {
+                    body.push(line.replace(/^\s+/, ws => ' '.repeat(Math.max(0, ws.replace(/\t/g, '    ').length - contentIndent))));
+                } else if (!startsBlock(line) && !isBlank(body[body.length - 1])) {
+                    body.push(line); // Fortsetzungszeile ohne Einrückung
+                } else {
+                    break;
+                }
+                i++;
+            }
+            items.push(body);
+
+            // Leerzeile zwischen zwei Einträgen → lockere Liste (mit Absätzen)
+            if (isBlank(lines[i])) {
+                let j = i;
+                while (j < lines.length && isBlank(lines[j])) j++;
+                const n = LIST_RE.exec(lines[j] || '');
+                if (!n || indentOf(n[1]) !== baseIndent || /\d/.test(n[2]) !== ordered) break;
+                loose = true;
+                i = j;
+            }
+        }
+
+        const startNum = ordered ? parseInt(first[2], 10) : 1;
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttr = ordered && startNum !== 1 ? ` start="${startNum}"` : '';
+        const html = `<${tag}${startAttr}>` + items.map(body => {
+            return '<li>' + renderBlocks(body, opts, depth + 1, !loose) + '</li>';
+        }).join('') + `</${tag}>`;
+        return { html, next: i };
+    }
+
+    /**
+     * Rendert eine Zeilenliste als Blöcke.
+     * @param {boolean} tight - Absätze ohne <p> (Inhalt enger Listeneinträge)
+     */
+    function renderBlocks(lines, opts, depth, tight) {
+        if (depth > MAX_NESTING) {
+            return `<p>${renderInline(lines.join('\n'), opts)}</p>`;
+        }
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            const fence = FENCE_RE.exec(line);
+            if (fence) {
+                const marker = fence[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !isClosingFence(lines[i], marker)) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // schließender Zaun
+                const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+                out.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = HEADING_RE.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                out.push(`<h${level}>${renderInline(heading[2] || '', opts)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (HR_RE.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (QUOTE_RE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && !isBlank(lines[i])) {
+                    quoted.push(lines[i].replace(QUOTE_RE, ''));
+                    i++;
+                }
+                out.push(`<blockquote>${renderBlocks(quoted, opts, depth + 1, false)}</blockquote>`);
+                continue;
+            }
+
+            if (LIST_RE.test(line)) {
+                const list = renderList(lines, i, opts, depth);
+                out.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+                const rows = [line, lines[i + 1]];
+                i += 2;
+                while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                out.push(renderTable(rows, opts));
+                continue;
+            }
+
+            // Absatz (ggf. Setext-Überschrift)
+            const para = [line];
+            i++;
+            while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+                if (SETEXT_RE.test(lines[i])) break;
+                para.push(lines[i]);
+                i++;
+            }
+            if (i < lines.length && SETEXT_RE.test(lines[i]) && !isBlank(lines[i])) {
+                const level = lines[i].trim().startsWith('=') ? 1 : 2;
+                out.push(`<h${level}>${renderInline(para.join('\n').trim(), opts)}</h${level}>`);
+                i++;
+                continue;
+            }
+            const html = renderInline(para.map(l => l.replace(/^\s+/, '')).join('\n'), opts);
+            out.push(tight ? html : `<p>${html}</p>`);
+        }
+
+        return out.join('\n');
+    }
+
+    /**
+     * Markdown → HTML (nur erlaubte Tags, siehe SICHERHEIT).
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {Function} [options.resolveUrl] - (url, isImage) => url|null, nur für bereits geprüfte Adressen
+     * @returns {string}
+     */
+    function render(text, options = {}) {
+        const lines = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+        return renderBlocks(lines, options, 0, false);
+    }
+
+    /**
+     * Klartext → <pre> (für .txt-Dateien).
+     */
+    function renderPlain(text) {
+        return `<pre class="md-plain">${escapeHtml(String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'))}</pre>`;
+    }
+
+    window.Markdown = {
+        render,
+        renderPlain,
+        safeUrl
+    };
+})();
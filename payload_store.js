@@ -0,0 +1,213 @@
+/**
+ * ============================================================================
+ * payload_store.js - Lädt Spiel-Payloads bei Bedarf (Shards + Cache)
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * app_index.js enthält nur noch den schlanken Baum mit Metadaten. Die
+ * eigentlichen JSON-Inhalte liegen gebündelt pro Ordner in Shards
+ * (app_index_shards/<hash>.json, erzeugt von tools/update_index.js) und
+ * werden erst geladen, wenn sie gebraucht werden. Ein Shard ist ein Objekt
+ * { "<id>": { "hash": "...", "data": { ...Payload... } } }.
+ *
+ * INDEX-KNOTEN (JSON-Datei):
+ * --------------------------
+ * {
+ *     "id": "database/.../Datei AP1-QQ01.json", "name": "...", "kind": "json",
+ *     "meta": { "title": "...", "game_type": "quick_quiz", "itemCount": 20, ..., "hash": "3f9a0c1d2e4b" },
+ *     "shard": "app_index_shards/8d1e0f2a9b7c.json"
+ * }
+ * Knoten ohne "shard" (z. B. GitHub-Index) werden direkt über node.id geladen.
+ *
+ * CACHES:
+ * -------
+ * 1. Arbeitsspeicher: alle Payloads eines geladenen Shards
+ * 2. sessionStorage:  'game_payload_' + id (dieselben Keys liest GameBase),
+ *    dazu 'paukerPayloadHashes_v1' mit dem Inhalts-Hash je Datei, damit
+ *    nach einem neuen Index-Build keine veralteten Inhalte genutzt werden
+ *
+ * VERWENDUNG:
+ * -----------
+ *   const data = PayloadStore.peek(node);        // sofort oder null
+ *   const data = await PayloadStore.load(node);  // lädt bei Bedarf nach
+ *   await PayloadStore.loadMany(nodes);          // z. B. für die Volltextsuche
+ *   PayloadStore.purge();                        // Einstellungen → Inhalte leeren
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const SESSION_PREFIX = 'game_payload_';
+    const HASHES_KEY = 'paukerPayloadHashes_v1';
+
+    const memory = new Map();       // id -> { data, hash }
+    const inflight = new Map();     // URL -> Promise
+
+    function nodeHash(node) {
+        return (node && node.meta && node.meta.hash) || null;
+    }
+
+    function readHashes() {
+        try {
+            const parsed = JSON.parse(sessionStorage.getItem(HASHES_KEY) || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    /**
+     * Legt das Payload für die Spiele im sessionStorage ab (GameBase liest dort).
+     */
+    function persist(id, data, hash) {
+        try {
+            sessionStorage.setItem(SESSION_PREFIX + id, JSON.stringify(data));
+            const hashes = readHashes();
+            if (hash) hashes[id] = hash;
+            else delete hashes[id];
+            sessionStorage.setItem(HASHES_KEY, JSON.stringify(hashes));
+        } catch (e) {
+            console.warn('Payload konnte nicht im sessionStorage abgelegt werden:', id, e);
+        }
+    }
+
+    /**
+     * Liefert das Payload sofort, falls es schon im Speicher oder im
+     * sessionStorage liegt (und zum Hash im Index passt), sonst null.
+     */
+    function peek(node) {
+        if (!node) return null;
+        const hash = nodeHash(node);
+
+        const cached = memory.get(node.id);
+        if (cached && (!hash || cached.hash === hash)) return cached.data;
+
+        try {
+            const raw = sessionStorage.getItem(SESSION_PREFIX + node.id);
+            if (!raw) return null;
+            if (hash && readHashes()[node.id] !== hash) return null;
+            const data = JSON.parse(raw);
+            memory.set(node.id, { data, hash });
+            return data;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function urlFor(node) {
+        return node.shard || node.id;
+    }
+
+    async function fetchJson(url) {
+        if (!inflight.has(url)) {
+            const request = fetch(url)
+                .then(resp => {
+                    if (!resp.ok) throw new Error(`Datei nicht gefunden (${resp.status}).`);
+                    return resp.json();
+                })
+                .finally(() => inflight.delete(url));
+            inflight.set(url, request);
+        }
+        return inflight.get(url);
+    }
+
+    async function fetchPayload(node) {
+        const hash = nodeHash(node);
+        if (!node.shard) {
+            const data = await fetchJson(node.id);
+            memory.set(node.id, { data, hash });
+            return data;
+        }
+
+        // Ein Shard enthält alle Payloads eines Ordners → Geschwister gleich mitnehmen
+        const shard = await fetchJson(node.shard) || {};
+        Object.keys(shard).forEach(id => {
+            memory.set(id, { data: shard[id].data, hash: shard[id].hash || null });
+        });
+        if (!shard[node.id]) {
+            throw new Error(`"${node.id}" fehlt im Shard ${node.shard}.`);
+        }
+        return shard[node.id].data;
+    }
+
+    /**
+     * Lädt ein Payload (Speicher → sessionStorage → Netz) und legt es für
+     * die Spiele im sessionStorage ab.
+     * @param {Object} node - JSON-Knoten aus dem Index
+     * @returns {Promise<Object>}
+     */
+    async function load(node) {
+        const hash = nodeHash(node);
+        let data = peek(node);
+        if (!data) data = await fetchPayload(node);
+
+        const stored = readHashes()[node.id];
+        if (!sessionStorage.getItem(SESSION_PREFIX + node.id) || stored !== (hash || undefined)) {
+            persist(node.id, data, hash);
+        }
+        return data;
+    }
+
+    /**
+     * Lädt mehrere Payloads nur in den Speicher (ohne sessionStorage).
+     * Fehler einzelner Dateien werden gezählt, nicht geworfen.
+     * @returns {Promise<{loaded: number, failed: number}>}
+     */
+    async function loadMany(nodes) {
+        let loaded = 0;
+        let failed = 0;
+        await Promise.all((nodes || []).map(async (node) => {
+            if (peek(node)) {
+                loaded++;
+                return;
+            }
+            try {
+                await fetchPayload(node);
+                loaded++;
+            } catch (err) {
+                failed++;
+                console.warn('Payload konnte nicht geladen werden:', node.id, err.message);
+            }
+        }));
+        return { loaded, failed };
+    }
+
+    function clear() {
+        memory.clear();
+    }
+
+    /**
+     * Alle sessionStorage-Keys dieses Stores (Payloads + Hash-Liste).
+     */
+    function storedKeys() {
+        const keys = [];
+        for (let i = 0; i < sessionStorage.length; i++) {
+            const key = sessionStorage.key(i);
+            if (key.startsWith(SESSION_PREFIX) || key === HASHES_KEY) keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Verwirft alle zwischengespeicherten Payloads (Speicher + sessionStorage).
+     * Sie werden beim nächsten Öffnen neu geladen.
+     */
+    function purge() {
+        memory.clear();
+        storedKeys().forEach(key => sessionStorage.removeItem(key));
+    }
+
+    window.PayloadStore = {
+        SESSION_PREFIX,
+        peek,
+        load,
+        loadMany,
+        urlFor,
+        clear,
+        storedKeys,
+        purge
+    };
+})();
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * progress_store.js - Lernfortschritt (Spielergebnisse) pro Datei
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Speichert für jedes Spiel (JSON-Payload) das letzte und das beste Ergebnis,
+ * die Anzahl der Versuche und ob das Spiel schon einmal komplett geschafft
+ * wurde. Die Spiele melden über GameBase.reportResult(), das Dashboard in
+ * index.js liest die Daten und rechnet sie über die Ordner-Hierarchie hoch.
+ *
+ * VERSUCHE (runId):
+ * -----------------
+ * Ein Spiel meldet während einer Runde mehrfach (z. B. nach jeder Antwort).
+ * Alle Meldungen mit derselben runId zählen als EIN Versuch, nur das
+ * Ergebnis wird aktualisiert. Eine neue runId startet einen neuen Versuch.
+ *
+ * SPEICHERFORMAT:
+ * ---------------
+ * Key: 'paukerProgress_v1'
+ * {
+ *     "<fileId>": {
+ *         "attempts": 3, "lastScore": 7, "lastMaxScore": 10,
+ *         "bestRatio": 0.9, "completed": true, "updatedAt": 1700000000000,
+ *         "runId": "..."
+ *     }
+ * }
+ *
+ * ============================================================================
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'paukerProgress_v1';
+    const PASS_RATIO = 0.5;  // darunter gilt ein Versuch als nicht bestanden
+
+    function readAll() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    function writeAll(all) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Fortschritt konnte nicht gespeichert werden:', e);
+        }
+    }
+
+    function getEntry(fileId) {
+        return readAll()[fileId] || null;
+    }
+
+    /**
+     * Alle Einträge auf einmal (z. B. für Filter über den ganzen Baum).
+     */
+    function getAll() {
+        return readAll();
+    }
+
+    /**
+     * Löscht alle Ergebnisse (Einstellungen → Lernfortschritt zurücksetzen).
+     */
+    function clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * Verbucht ein (Zwischen-)Ergebnis.
+     * @param {string} fileId
+     * @param {Object} result - { score, maxScore, completed }
+     * @param {string} runId  - gleiche runId = gleicher Versuch
+     * @returns {Object} der aktualisierte Eintrag
+     */
+    function recordResult(fileId, result, runId) {
+        const score = Math.max(0, Number(result && result.score) || 0);
+        const maxScore = Math.max(0, Number(result && result.maxScore) || 0);
+        const ratio = maxScore > 0 ? Math.min(1, score / maxScore) : 0;
+
+        const all = readAll();
+        const prev = all[fileId] || { attempts: 0, bestRatio: 0, completed: false };
+        const sameRun = !!runId && prev.runId === runId;
+
+        const entry = {
+            attempts: prev.attempts + (sameRun ? 0 : 1),
+            lastScore: score,
+            lastMaxScore: maxScore,
+            bestRatio: Math.max(prev.bestRatio || 0, ratio),
+            completed: !!prev.completed || !!(result && result.completed),
+            updatedAt: Date.now(),
+            runId: runId || null
+        };
+
+        all[fileId] = entry;
+        writeAll(all);
+        return entry;
+    }
+
+    function lastRatio(entry) {
+        return entry && entry.lastMaxScore > 0 ? entry.lastScore / entry.lastMaxScore : 0;
+    }
+
+    /**
+     * Letzter Versuch unter PASS_RATIO? Ungespielte Dateien zählen nicht.
+     */
+    function failedLastTime(entry) {
+        return !!entry && entry.lastMaxScore > 0 && lastRatio(entry) < PASS_RATIO;
+    }
+
+    /**
+     * Fasst mehrere Dateien zusammen (Ordner-Roll-up).
+     * Ungespielte Dateien zählen bei der Bereitschaft mit 0 %.
+     * @param {string[]} fileIds
+     * @returns {{total, played, completed, attempts, readiness, lastAvg, updatedAt}}
+     */
+    function summarize(fileIds) {
+        const all = readAll();
+        const ids = Array.isArray(fileIds) ? fileIds : [];
+        let played = 0;
+        let completed = 0;
+        let attempts = 0;
+        let bestSum = 0;
+        let lastSum = 0;
+        let updatedAt = 0;
+
+        ids.forEach(id => {
+            const entry = all[id];
+            if (!entry) return;
+            played++;
+            if (entry.completed) completed++;
+            attempts += entry.attempts || 0;
+            bestSum += entry.bestRatio || 0;
+            lastSum += lastRatio(entry);
+            updatedAt = Math.max(updatedAt, entry.updatedAt || 0);
+        });
+
+        return {
+            total: ids.length,
+            played,
+            completed,
+            attempts,
+            readiness: ids.length > 0 ? bestSum / ids.length : 0,
+            lastAvg: played > 0 ? lastSum / played : 0,
+            updatedAt: updatedAt || null
+        };
+    }
+
+    function newRunId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    window.ProgressStore = {
+        STORAGE_KEY,
+        PASS_RATIO,
+        getEntry,
+        getAll,
+        clear,
+        recordResult,
+        lastRatio,
+        failedLastTime,
+        summarize,
+        newRunId
+    };
+})();
@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * sw.js - Service Worker für den Offline-Modus (PWA)
+ * ============================================================================
+ *
+ * ZWECK:
+ * ------
+ * Macht das Pauker-Tool ohne Netz nutzbar (z. B. im Zug):
+ * - App-Shell und alle Spiele (games/*) werden bei der Installation gecacht
+ * - Der Index (app_index.js) gehört zur Shell; die Payload-Shards (bzw. beim
+ *   GitHub-Index die JSON-Dateien) schickt index.js nach dem Laden als Liste
+ *   ({ type: 'precache', urls: [...] }), der Worker cacht sie vorab
+ * - PDFs/Präsentationen, Text- und Markdown-Dateien werden erst beim ersten
+ *   Öffnen gecacht
+ *
+ * VERSIONIERUNG:
+ * --------------
+ * index.js registriert 'sw.js?v=<AppConfig.version>-<Index-Build>'. Der Build
+ * stammt aus app_index.js (DATABASE_INDEX_BUILD, von tools/update_index.js)
+ * bzw. aus einem Fingerabdruck des GitHub-Index. Ändert sich der Index, ist
+ * die Worker-URL neu → neuer Worker mit neuen Caches, alte Caches werden beim
+ * Aktivieren gelöscht.
+ *
+ * STRATEGIEN:
+ * -----------
+ * - database/*, Shards und Dokumente: Cache zuerst (gültig bis zum nächsten Build)
+ * - App-Shell/Spiele:         Cache sofort, im Hintergrund aktualisieren
+ *                             (stale-while-revalidate)
+ * - Fremde Hosts (GitHub API, Drive) und fetch(..., { cache: 'no-store' }):
+ *                             nicht angefasst
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'pauker-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${VERSION}`;
+const DOCS_CACHE = `${CACHE_PREFIX}docs-${VERSION}`;
+
+// Setzt self.GAME_TYPE_MODULES und self.GAME_TEMPLATE_FILES (Spieltypen)
+importScripts('games/game_types.js');
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'index.js',
+    'config.js',
+    'shared_theme.css',
+    'leitner_store.js',
+    'progress_store.js',
+    'payload_store.js',
+    'game_bridge.js',
+    'exam_simulation.js',
+    'doc_viewer.js',
+    'markdown.js',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'games/game_loader.html',
+    'games/game_base.js',
+    'games/game_schemas.js',
+    'games/game_errors.js',
+    'games/game_registry.js',
+    'games/game_types.js',
+    // Typ-Module und Templates (samt CSS/JS) aus der generierten Liste
+    // (tools/update_index.js); doppelte Einträge entfernt, addAll verträgt keine
+    ...self.GAME_TYPE_MODULES,
+    ...self.GAME_TEMPLATE_FILES
+].filter((url, idx, all) => all.indexOf(url) === idx);
+
+// Generiert (tools/update_index.js) – fehlt z. B. auf GitHub Pages ohne Build
+const OPTIONAL_SHELL_FILES = ['app_index.js'];
+
+const DOC_PATTERN = /\.(pdf|pptx?|txt|md|markdown)$/i;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await Promise.all(OPTIONAL_SHELL_FILES.map(url => cache.add(url).catch(() => { })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, DATA_CACHE, DOCS_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const msg = event.data || {};
+    if (msg.type !== 'precache' || !Array.isArray(msg.urls)) return;
+    event.waitUntil(precacheData(msg.urls, event.source));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    // Ausdrücklich am Cache vorbei (z. B. Live-Reload von app_index.js)
+    if (request.cache === 'no-store') return;
+    // Teilanfragen (Range, 206) nicht aus dem Cache bedienen und nicht cachen
+    if (request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const path = decodeURIComponent(url.pathname);
+    if (DOC_PATTERN.test(path)) {
+        event.respondWith(cacheFirst(request, DOCS_CACHE));
+    } else if (path.includes('/database/') || path.includes('/app_index_shards/')) {
+        event.respondWith(cacheFirst(request, DATA_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+/**
+ * Cacht alle noch fehlenden Payloads und meldet das Ergebnis an die Seite.
+ * Einzelne Fehler (z. B. gelöschte Datei) brechen den Rest nicht ab.
+ */
+async function precacheData(urls, client) {
+    const cache = await caches.open(DATA_CACHE);
+    let cached = 0;
+    let failed = 0;
+
+    await Promise.all(urls.map(async (url) => {
+        if (await cache.match(url)) {
+            cached++;
+            return;
+        }
+        try {
+            await cache.add(url);
+            cached++;
+        } catch (_) {
+            failed++;
+        }
+    }));
+
+    if (client) client.postMessage({ type: 'precache-done', version: VERSION, cached, failed });
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const hit = await cache.match(request);
+    if (hit) return hit;
+
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) cache.put(request, response.clone()).catch(() => { });
+        return response;
+    } catch (_) {
+        return offlineResponse();
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    // Query-Strings (z. B. quick_quiz.html?fileId=...) teilen sich einen Eintrag
+    const key = new URL(request.url);
+    key.search = '';
+    const hit = await cache.match(key.href);
+    const network = fetch(request)
+        .then(response => {
+            if (response.status === 200) event.waitUntil(cache.put(key.href, response.clone()).catch(() => { }));
+            return response;
+        })
+        .catch(() => null);
+    // Worker erst beenden, wenn die Aktualisierung im Cache liegt
+    event.waitUntil(network);
+
+    if (hit) return hit;
+    return (await network) || offlineResponse();
+}
+
+function offlineResponse() {
+    return new Response('Offline: Diese Datei ist noch nicht im Cache.', {
+        status: 503,
+        statusText: 'Offline',
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+}
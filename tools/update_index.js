@@ -1,19 +1,271 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const GameSchemas = require('../games/game_schemas.js');
+const GameRegistry = require('../games/game_registry.js');
 
 /**
  * ZWECK:
  * Durchsucht den 'database'-Ordner und generiert eine 'app_index.js',
  * damit alle Spiele und Dokumente im Baum des Pauker-Tools angezeigt werden.
+ *
+ * SCHEMA-PRÜFUNG:
+ * Jede JSON-Datei wird gegen das Schema ihres game_type geprüft (dieselben
+ * Schemas wie im Browser, aus den Typ-Modulen in games/types/). Fehler werden pro
+ * Datei ausgegeben. Mit --strict bricht das Skript bei ungültigen Dateien ab
+ * (Exit-Code 1, app_index.js und Shards bleiben unverändert):
+ *     node tools/update_index.js --strict
+ *
+ * SPIELTYPEN:
+ * Schreibt außerdem games/game_types.js mit allen Modulen in games/types/
+ * und den Dateien ihrer Templates (für index.html und sw.js). Ein neuer
+ * Spieltyp braucht damit nur sein Modul und sein Template, keine weiteren Einträge.
+ *
+ * INDEX-FORMAT (schlanker Baum + Shards):
+ * app_index.js enthält nur den Baum. JSON-Knoten tragen Metadaten und
+ * verweisen auf einen Shard:
+ *     "meta": {
+ *         "title": "Quick-Quiz – Netzwerke (AP1)", "game_type": "quick_quiz",
+ *         "itemCount": 20, "sectionCount": null, "estimated_minutes": 10,
+ *         "tags": ["OSI", "IPv4"], "level": 1, "chapter": "4.2", "hash": "3f9a0c1d2e4b"
+ *     }
+ * - itemCount:         Lern-Items laut Typ-Modul (Fragen, Fälle, Sets, ...; Escape: alle Aufgaben)
+ * - sectionCount:      Abschnitte, falls das Typ-Modul sie zählt (escape_game)
+ * - estimated_minutes: aus dem Payload, sonst geschätzt (minutesPerItem des Typ-Moduls)
+ * - tags:              häufigste Tags (oberste Ebene und Items), höchstens MAX_TAGS
+ * - level / chapter:   aus den Ordnernamen ("Level02", "5_2 …", "Missionen_5_2_PvAP1")
+ * Dokumente (PDF/PPTX, .txt, Markdown) bekommen "meta": { "bytes", "level", "chapter" },
+ * Markdown zusätzlich "title" aus der ersten Überschrift.
+ * Ein Shard bündelt alle Payloads eines Ordners:
+ *     app_index_shards/<inhalts-hash>.json
+ *     { "<id>": { "hash": "...", "data": { ...Payload... } } }
+ * Geladen werden die Shards im Browser über payload_store.js.
+ *
+ * WATCH-MODUS (inkrementell):
+ *     node tools/update_index.js --watch
+ * Beobachtet 'database' (fs.watch, rekursiv, Node.js >= 20) und baut bei
+ * jeder Änderung neu. Nur Ordner, in denen sich etwas geändert hat, werden
+ * neu eingelesen; JSON-Dateien mit unverändertem mtime/Größe bzw. Inhalts-Hash
+ * kommen samt Schema-Prüfung aus dem Cache. app_index.js und Shards werden
+ * atomar geschrieben (temporäre Datei + rename), eine offene Seite liest nie
+ * eine halbe Datei.
+ *
+ * DEV-SERVER (Live-Reload):
+ *     node tools/update_index.js --serve [--port 8080]
+ * Wie --watch, liefert zusätzlich das Projekt unter http://localhost:8080/
+ * aus (ohne Browser-Cache und ohne Service Worker) und meldet jedem offenen
+ * index.html über Server-Sent Events (/__pauker_events) einen neuen Build.
+ * index.js lädt daraufhin den Baum neu.
+ *
+ * GITHUB-STAND-IN (nur --serve):
+ *     GET /__pauker_github/repos/<owner>/<repo>/git/trees/<branch>?recursive=1
+ * Antwortet wie die GitHub-API (git/trees) mit dem lokalen database/-Ordner,
+ * inkl. ETag und 304 bei If-None-Match. Zum Testen von "Index aktualisieren" ohne
+ * API-Limit: in config.js github.apiBase = '/__pauker_github' setzen.
+ *
+ * HASHES:
+ * meta.hash der JSON-Dateien sind die ersten 12 Zeichen der Git-Blob-SHA.
+ * index.js erkennt damit beim GitHub-Index, welche Dateien unverändert sind
+ * und behält für diese Metadaten und Shards aus app_index.js.
  */
 
-const DATABASE_ROOT = path.join(__dirname, '../database');
+const REPO_ROOT = path.join(__dirname, '..');
+const DATABASE_ROOT = path.join(REPO_ROOT, 'database');
 // Schreiben in das aktuelle Verzeichnis (Backend_AP1), wo index.html liegt
-const OUTPUT_FILE = path.join(__dirname, '../app_index.js');
+const OUTPUT_FILE = path.join(REPO_ROOT, 'app_index.js');
+const SHARD_DIR_NAME = 'app_index_shards';
+const SHARD_DIR = path.join(REPO_ROOT, SHARD_DIR_NAME);
+// Typ-Module und Template-Dateien für index.html und sw.js (siehe writeGameTypes)
+const GAME_TYPES_DIR = path.join(REPO_ROOT, 'games', 'types');
+const GAME_TYPES_FILE = path.join(REPO_ROOT, 'games', 'game_types.js');
+const MAX_ERRORS_PER_FILE = 10;
+const MAX_TAGS = 8;
+
+// Dateiendung → kind der Dokument-Knoten (JSON-Dateien sind Spiele)
+const DOC_KINDS = {
+    '.pdf': 'pdf',
+    '.pptx': 'pptx',
+    '.ppt': 'pptx',
+    '.txt': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown'
+};
+
+const args = process.argv.slice(2);
+const STRICT = args.includes('--strict');
+const SERVE = args.includes('--serve');
+const WATCH = SERVE || args.includes('--watch');
+const PORT = Number(argValue('--port')) || 8080;
+const WATCH_DEBOUNCE_MS = 200;
+const EVENTS_PATH = '/__pauker_events';
+const GITHUB_STANDIN_PREFIX = '/__pauker_github/';
+
+function argValue(name) {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+}
+
+// --- Cache für inkrementelle Builds (--watch) ---
+// JSON-Datei: fullPath -> { mtimeMs, size, hash, data, meta, errors }
+const fileCache = new Map();
+// Ordner: fullPath -> { nodes, shards: Map(Dateiname -> Inhalt), files: [fullPath] } für den ganzen Teilbaum
+const dirCache = new Map();
+
+function shortHash(content) {
+    return crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * SHA-1 wie "git hash-object" (Header "blob <Bytes>\0" + Inhalt).
+ */
+function gitBlobSha(buffer) {
+    return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+function toId(fullPath) {
+    return path.relative(REPO_ROOT, fullPath).replace(/\\/g, '/'); // Windows-Pfadkompatibilität
+}
+
+/**
+ * Die häufigsten Tags eines Payloads (oberste Ebene und Items, z. B. what_and_why-Fälle).
+ */
+function collectTags(data) {
+    const counts = new Map();
+    const add = (tags) => {
+        if (!Array.isArray(tags)) return;
+        tags.forEach(tag => {
+            if (typeof tag !== 'string' || !tag.trim()) return;
+            counts.set(tag.trim(), (counts.get(tag.trim()) || 0) + 1);
+        });
+    };
+    add(data.tags);
+    GameRegistry.items(data).forEach(item => add(item.tags));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TAGS)
+        .map(([tag]) => tag);
+}
+
+/**
+ * Level und Kapitel aus den Ordnernamen; der tiefste Treffer gewinnt.
+ * "Level02" → level 2, "5_2 Maßnahmen …" / "Missionen_5_2_PvAP1" → chapter "5.2"
+ */
+function inferPlacement(fullPath) {
+    const folders = path.relative(DATABASE_ROOT, path.dirname(fullPath)).split(path.sep);
+    let level = null;
+    let chapter = null;
+    folders.forEach(name => {
+        const levelMatch = name.match(/^Level\s*0*(\d+)$/i);
+        if (levelMatch) level = Number(levelMatch[1]);
+        const chapterMatch = name.match(/^(\d+(?:_\d+)*)\s/) || name.match(/^Missionen_(\d+(?:_\d+)*)_/i);
+        if (chapterMatch) chapter = chapterMatch[1].replace(/_/g, '.');
+    });
+    return { level, chapter };
+}
+
+/**
+ * Erste Überschrift einer Markdown-Datei ("# Titel"), sonst ''.
+ */
+function markdownTitle(fullPath) {
+    try {
+        const match = fs.readFileSync(fullPath, 'utf8').match(/^ {0,3}#{1,6}\s+(.+?)(?:\s+#+)?\s*$/m);
+        return match ? match[1] : '';
+    } catch (_) {
+        return '';
+    }
+}
+
+/**
+ * Normalisierter Metadaten-Block eines Payloads (siehe INDEX-FORMAT).
+ */
+function describePayload(data, fullPath, hash) {
+    const itemCount = GameRegistry.countItems(data);
+    const gameType = data.game_type || data.gameType || null;
+    return {
+        title: typeof data.title === 'string' ? data.title : '',
+        game_type: gameType,
+        itemCount,
+        sectionCount: GameRegistry.sectionCount(data),
+        estimated_minutes: GameRegistry.estimateMinutes(data, itemCount),
+        tags: collectTags(data),
+        ...inferPlacement(fullPath),
+        hash
+    };
+}
+
+/**
+ * Liest, prüft und beschreibt eine JSON-Datei – oder nimmt das Ergebnis
+ * aus dem Cache, wenn sich mtime/Größe bzw. der Inhalt nicht geändert haben.
+ */
+function readJsonFile(fullPath, stat) {
+    const cached = fileCache.get(fullPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+
+    let entry;
+    try {
+        const buffer = fs.readFileSync(fullPath);
+        const hash = gitBlobSha(buffer).slice(0, 12);
+        if (cached && cached.hash === hash) {
+            // Nur angefasst (z. B. git checkout): Prüfung wiederverwenden
+            entry = { ...cached, mtimeMs: stat.mtimeMs, size: stat.size };
+        } else {
+            const data = JSON.parse(buffer.toString('utf8'));
+            const result = GameSchemas.validate(data);
+            entry = {
+                mtimeMs: stat.mtimeMs,
+                size: stat.size,
+                hash,
+                data,
+                meta: describePayload(data, fullPath, hash),
+                errors: result.valid ? [] : GameSchemas.formatErrors(result.errors, MAX_ERRORS_PER_FILE)
+            };
+        }
+    } catch (err) {
+        console.warn(`Fehler beim Lesen von ${path.basename(fullPath)}:`, err.message);
+        entry = { mtimeMs: stat.mtimeMs, size: stat.size, hash: null, data: null, meta: null, errors: [`JSON nicht lesbar: ${err.message}`] };
+    }
+    fileCache.set(fullPath, entry);
+    return entry;
+}
+
+/**
+ * Bündelt die Payloads eines Ordners zu einem Shard und trägt den
+ * Shard-Pfad in die Knoten ein.
+ */
+function addShard(entries, shards) {
+    if (entries.length === 0) return;
+    const shard = {};
+    entries.forEach(({ node, entry }) => {
+        shard[node.id] = { hash: entry.hash, data: entry.data };
+    });
+    const content = JSON.stringify(shard);
+    const fileName = `${shortHash(content)}.json`;
+    shards.set(fileName, content);
+    entries.forEach(({ node }) => {
+        node.shard = `${SHARD_DIR_NAME}/${fileName}`;
+    });
+}
+
+/**
+ * dirty: Menge geänderter Pfade (Watch-Modus) oder null für "alles prüfen".
+ */
+function isDirty(dirPath, dirty) {
+    if (!dirty) return true;
+    for (const changed of dirty) {
+        if (changed === dirPath || changed.startsWith(dirPath + path.sep)) return true;
+    }
+    return false;
+}
+
+function scanDir(dirPath, dirty) {
+    // Unveränderter Teilbaum → komplett aus dem Cache
+    const cached = dirCache.get(dirPath);
+    if (cached && !isDirty(dirPath, dirty)) return cached;
 
-function scanDir(dirPath, relativeRoot = 'database') {
     const items = fs.readdirSync(dirPath, { withFileTypes: true });
-    const result = [];
+    const subtree = { nodes: [], shards: new Map(), files: [] };
+    const shardEntries = [];
 
     // Sortieren: Ordner zuerst, dann alphabetisch
     const sortedItems = items.sort((a, b) => {
@@ -26,54 +278,400 @@ function scanDir(dirPath, relativeRoot = 'database') {
         if (item.name.startsWith('.')) continue; // Versteckte Dateien ignorieren
 
         const fullPath = path.join(dirPath, item.name);
-        const relativePath = path.relative(path.join(__dirname, '..'), fullPath);
-
         const node = {
-            id: relativePath.replace(/\\/g, '/'), // Windows-Pfadkompatibilität
+            id: toId(fullPath),
             name: item.name,
             isFolder: item.isDirectory()
         };
 
         if (item.isDirectory()) {
-            const children = scanDir(fullPath, relativeRoot);
-            if (children.length > 0) {
-                node.children = children;
-                result.push(node);
+            const child = scanDir(fullPath, dirty);
+            child.shards.forEach((content, fileName) => subtree.shards.set(fileName, content));
+            subtree.files.push(...child.files);
+            if (child.nodes.length > 0) {
+                node.children = child.nodes;
+                subtree.nodes.push(node);
             }
         } else {
             const ext = path.extname(item.name).toLowerCase();
             if (ext === '.json') {
                 node.kind = 'json';
-                try {
-                    // Inhalt puffern für GitHub Pages / Offline-Support
-                    const content = fs.readFileSync(fullPath, 'utf8');
-                    node.data = JSON.parse(content);
-                } catch (err) {
-                    console.warn(`Fehler beim Lesen von ${item.name}:`, err.message);
+                // Inhalt landet im Shard des Ordners, im Baum nur die Metadaten
+                const entry = readJsonFile(fullPath, fs.statSync(fullPath));
+                if (entry.data) {
+                    node.meta = entry.meta;
+                    shardEntries.push({ node, entry });
                 }
-                result.push(node);
-            } else if (ext === '.pdf') {
-                node.kind = 'pdf';
-                result.push(node);
-            } else if (ext === '.pptx' || ext === '.ppt') {
-                node.kind = 'pptx';
-                result.push(node);
+                subtree.files.push(fullPath);
+                subtree.nodes.push(node);
+            } else if (DOC_KINDS[ext]) {
+                node.kind = DOC_KINDS[ext];
+                node.meta = { bytes: fs.statSync(fullPath).size, ...inferPlacement(fullPath) };
+                if (node.kind === 'markdown') {
+                    const title = markdownTitle(fullPath);
+                    if (title) node.meta.title = title;
+                }
+                subtree.nodes.push(node);
             }
         }
     }
 
-    return result;
+    addShard(shardEntries, subtree.shards);
+    dirCache.set(dirPath, subtree);
+    return subtree;
 }
 
-console.log('Scanne Datenbank...');
-const tree = scanDir(DATABASE_ROOT);
+/**
+ * Baut den Index (voll oder nur für die geänderten Teilbäume).
+ * @returns {{tree, shards: Map, checkedFiles: number, invalidFiles: Array<{id, errors}>}}
+ */
+function buildIndex(dirty = null) {
+    const root = scanDir(DATABASE_ROOT, dirty);
+
+    // Gelöschte Dateien/Ordner aus den Caches entfernen
+    const liveFiles = new Set(root.files);
+    fileCache.forEach((_, file) => {
+        if (!liveFiles.has(file)) fileCache.delete(file);
+    });
+    dirCache.forEach((_, dir) => {
+        if (!fs.existsSync(dir)) dirCache.delete(dir);
+    });
 
-const outputContent = `/** 
+    const invalidFiles = root.files
+        .map(file => ({ id: toId(file), errors: fileCache.get(file).errors }))
+        .filter(entry => entry.errors.length > 0);
+
+    return { tree: root.nodes, shards: root.shards, checkedFiles: root.files.length, invalidFiles };
+}
+
+function printSchemaReport(build) {
+    build.invalidFiles.forEach(entry => {
+        console.warn(`\n✗ ${entry.id}`);
+        entry.errors.forEach(line => console.warn(`    - ${line}`));
+    });
+    const validCount = build.checkedFiles - build.invalidFiles.length;
+    console.log(`\nSchema-Prüfung: ${validCount} von ${build.checkedFiles} JSON-Dateien gültig, ${build.invalidFiles.length} fehlerhaft.`);
+}
+
+/**
+ * Schreibt erst in eine temporäre Datei und benennt sie dann um,
+ * damit Leser nie eine halb geschriebene Datei sehen.
+ */
+function writeFileAtomic(file, content) {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, content, 'utf8');
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Schreibt Shards und app_index.js. Shards heißen nach ihrem Inhalt:
+ * vorhandene bleiben liegen, neue kommen vor dem Index, alte werden danach entfernt.
+ * @returns {string} Build-ID
+ */
+function writeIndex(build) {
+    const treeJson = JSON.stringify(build.tree, null, 2);
+    // Build-ID: ändert sich mit jedem Inhalt → neue Service-Worker-Version (sw.js)
+    const buildId = shortHash(treeJson);
+
+    const outputContent = `/** 
  * AUTOMATISCH GENERIERT am ${new Date().toLocaleString()}
  * Nicht manuell ändern! Nutze node tools/update_index.js
  */
-window.DATABASE_INDEX = ${JSON.stringify(tree, null, 2)};
+window.DATABASE_INDEX_BUILD = '${buildId}';
+window.DATABASE_INDEX_BUILT_AT = '${new Date().toISOString()}';
+window.DATABASE_INDEX = ${treeJson};
 `;
 
-fs.writeFileSync(OUTPUT_FILE, outputContent, 'utf8');
-console.log('Erfolg: app_index.js wurde aktualisiert!');
+    fs.mkdirSync(SHARD_DIR, { recursive: true });
+    build.shards.forEach((content, fileName) => {
+        const file = path.join(SHARD_DIR, fileName);
+        if (!fs.existsSync(file)) writeFileAtomic(file, content);
+    });
+    writeFileAtomic(OUTPUT_FILE, outputContent);
+    fs.readdirSync(SHARD_DIR).forEach(fileName => {
+        if (fileName.endsWith('.json') && !build.shards.has(fileName)) {
+            fs.rmSync(path.join(SHARD_DIR, fileName), { force: true });
+        }
+    });
+    return buildId;
+}
+
+/**
+ * Dateien eines Templates für den Offline-Cache: die HTML-Datei und alles,
+ * was sie direkt aus games/ einbindet (<script src>, <link href>, z. B. CSS,
+ * Spiel-JS, sortier_spiel_payload.js).
+ */
+function templateFiles(template) {
+    const file = path.join(REPO_ROOT, 'games', template);
+    if (!fs.existsSync(file)) {
+        console.warn(`Template games/${template} fehlt.`);
+        return [];
+    }
+    const html = fs.readFileSync(file, 'utf8');
+    const refs = [...html.matchAll(/<(?:script|link)\b[^>]*?\b(?:src|href)="([^"#?]+)"/g)]
+        .map(match => match[1])
+        .filter(ref => !ref.includes('/') && !ref.includes(':'))
+        .filter(ref => fs.existsSync(path.join(REPO_ROOT, 'games', ref)));
+    return [template, ...refs].map(ref => `games/${ref}`);
+}
+
+/**
+ * Schreibt games/game_types.js für index.html und sw.js:
+ * - GAME_TYPE_MODULES:   alle Module in games/types/ (GameRegistry.loadModules)
+ * - GAME_TEMPLATE_FILES: Templates der Spieltypen samt CSS/JS (Shell-Cache)
+ * Hängt nur am Quellcode, nicht an database/, und wird deshalb mit
+ * eingecheckt; geschrieben wird nur bei Änderungen.
+ */
+function writeGameTypes() {
+    const modules = fs.readdirSync(GAME_TYPES_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => `games/types/${file}`);
+    const templates = [...new Set(GameRegistry.list().flatMap(def => templateFiles(def.template)))];
+    const toJs = (list) => JSON.stringify(list, null, 4).replace(/"/g, "'");
+    const content = `/**
+ * AUTOMATISCH GENERIERT aus games/types/ - nicht manuell ändern!
+ * Neuer Spieltyp: Modul in games/types/ und Template in games/ ablegen,
+ * node tools/update_index.js ausführen.
+ */
+self.GAME_TYPE_MODULES = ${toJs(modules)};
+
+self.GAME_TEMPLATE_FILES = ${toJs(templates)};
+`;
+    const current = fs.existsSync(GAME_TYPES_FILE) ? fs.readFileSync(GAME_TYPES_FILE, 'utf8') : null;
+    if (current === content) return;
+    writeFileAtomic(GAME_TYPES_FILE, content);
+    console.log(`games/game_types.js aktualisiert (${modules.length} Spieltypen).`);
+}
+
+/**
+ * Ein Durchlauf: bauen, Bericht ausgeben, schreiben.
+ * @returns {string|null} Build-ID oder null, wenn nichts geschrieben wurde
+ */
+function runBuild(dirty) {
+    const started = Date.now();
+    writeGameTypes();
+    const build = buildIndex(dirty);
+    printSchemaReport(build);
+
+    if (STRICT && build.invalidFiles.length > 0) {
+        console.error('Abbruch (--strict): app_index.js und Shards wurden NICHT aktualisiert.');
+        return null;
+    }
+
+    const buildId = writeIndex(build);
+    console.log(`Erfolg: app_index.js wurde aktualisiert! (Build ${buildId}, ${build.shards.size} Shards, ${Date.now() - started} ms)`);
+    return buildId;
+}
+
+// --- Dev-Server (--serve) ---
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.markdown': 'text/markdown; charset=utf-8',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+function serveStatic(pathname, res) {
+    let rel;
+    try {
+        rel = decodeURIComponent(pathname);
+    } catch (_) {
+        sendText(res, 400, 'Ungültige URL');
+        return;
+    }
+    if (rel.endsWith('/')) rel += 'index.html';
+
+    // Kein Offline-Modus im Dev-Server: der Service Worker würde veraltete Dateien liefern
+    if (rel === '/sw.js') {
+        sendText(res, 404, 'Service Worker im Dev-Server deaktiviert');
+        return;
+    }
+
+    const file = path.join(REPO_ROOT, rel);
+    if (!file.startsWith(REPO_ROOT + path.sep)) {
+        sendText(res, 403, 'Zugriff verweigert');
+        return;
+    }
+
+    fs.readFile(file, (err, content) => {
+        if (err) {
+            sendText(res, 404, 'Nicht gefunden');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(content);
+    });
+}
+
+// Git-Blob-SHAs für den GitHub-Stand-in: fullPath -> { mtimeMs, size, sha }
+const blobShaCache = new Map();
+
+function cachedBlobSha(fullPath, stat) {
+    const cached = blobShaCache.get(fullPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.sha;
+    const sha = gitBlobSha(fs.readFileSync(fullPath));
+    blobShaCache.set(fullPath, { mtimeMs: stat.mtimeMs, size: stat.size, sha });
+    return sha;
+}
+
+/**
+ * Flache Liste wie GitHubs git/trees?recursive=1, beschränkt auf database/.
+ * Ordner-SHAs sind nur Platzhalter (aus den Pfaden darunter), index.js nutzt sie nicht.
+ */
+function listGitTree(dirPath, out = []) {
+    const items = fs.readdirSync(dirPath, { withFileTypes: true })
+        .filter(item => !item.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    items.forEach(item => {
+        const fullPath = path.join(dirPath, item.name);
+        if (item.isDirectory()) {
+            const entry = { path: toId(fullPath), mode: '040000', type: 'tree', sha: '' };
+            out.push(entry);
+            const start = out.length;
+            listGitTree(fullPath, out);
+            entry.sha = crypto.createHash('sha1').update(out.slice(start).map(e => e.sha).join('')).digest('hex');
+        } else if (item.isFile()) {
+            const stat = fs.statSync(fullPath);
+            out.push({ path: toId(fullPath), mode: '100644', type: 'blob', sha: cachedBlobSha(fullPath, stat), size: stat.size });
+        }
+    });
+    return out;
+}
+
+/**
+ * Lokaler Ersatz für GET /repos/<owner>/<repo>/git/trees/<branch> (siehe GITHUB-STAND-IN).
+ */
+function serveGithubStandIn(req, pathname, res) {
+    if (!/^repos\/[^/]+\/[^/]+\/git\/trees\/[^/]+$/.test(pathname.slice(GITHUB_STANDIN_PREFIX.length))) {
+        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ message: 'Not Found' }));
+        return;
+    }
+
+    const tree = listGitTree(DATABASE_ROOT);
+    const sha = crypto.createHash('sha1').update(tree.map(e => e.path + e.sha).join('\n')).digest('hex');
+    const etag = `"${sha}"`;
+    const headers = { ETag: etag, 'Cache-Control': 'no-store' };
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ sha, tree, truncated: false }));
+}
+
+/**
+ * Startet den Dev-Server. Jede offene Seite hält eine SSE-Verbindung und
+ * bekommt beim Verbinden ("hello") und nach jedem Rebuild ("index") die Build-ID.
+ */
+function startDevServer(getBuildId) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname.startsWith(GITHUB_STANDIN_PREFIX)) {
+            serveGithubStandIn(req, pathname, res);
+            return;
+        }
+        if (pathname !== EVENTS_PATH) {
+            serveStatic(pathname, res);
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        res.write(`event: hello\ndata: ${JSON.stringify({ build: getBuildId() })}\n\n`);
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    });
+
+    server.on('error', (err) => {
+        console.error(`Dev-Server konnte nicht starten (Port ${PORT}):`, err.message);
+        process.exit(1);
+    });
+    server.listen(PORT, () => {
+        console.log(`Dev-Server läuft: http://localhost:${PORT}/`);
+    });
+
+    return {
+        notify(buildId) {
+            const message = `event: index\ndata: ${JSON.stringify({ build: buildId })}\n\n`;
+            clients.forEach(res => res.write(message));
+            if (clients.size > 0) console.log(`${clients.size} offene Seite(n) benachrichtigt.`);
+        }
+    };
+}
+
+// --- Watch-Modus (--watch / --serve) ---
+
+function startWatch() {
+    let currentBuild = runBuild(null);
+    const devServer = SERVE ? startDevServer(() => currentBuild) : null;
+
+    let changed = new Set();
+    let fullRescan = false;
+    let timer = null;
+
+    const rebuild = () => {
+        // Ohne Dateinamen vom Betriebssystem: alle Ordner prüfen (Dateien trotzdem aus dem Cache)
+        const dirty = fullRescan ? null : changed;
+        changed = new Set();
+        fullRescan = false;
+
+        console.log(`\nÄnderung erkannt (${dirty ? `${dirty.size} Pfad(e)` : 'unbekannt'}) – baue neu...`);
+        try {
+            const buildId = runBuild(dirty);
+            if (buildId && buildId !== currentBuild) {
+                currentBuild = buildId;
+                if (devServer) devServer.notify(buildId);
+            }
+        } catch (err) {
+            // z. B. Ordner wurde während des Scans gelöscht → beim nächsten Ereignis erneut
+            console.error('Rebuild fehlgeschlagen:', err.message);
+            fullRescan = true;
+        }
+    };
+
+    fs.watch(DATABASE_ROOT, { recursive: true }, (eventType, filename) => {
+        if (filename) {
+            // Editor-Swapdateien u. Ä. ändern den Index nicht
+            if (path.basename(filename).startsWith('.')) return;
+            changed.add(path.join(DATABASE_ROOT, filename));
+        } else {
+            fullRescan = true;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+    });
+    console.log(`\nBeobachte database/ auf Änderungen (Strg+C beendet).`);
+}
+
+console.log('Scanne Datenbank...');
+if (WATCH) {
+    startWatch();
+} else if (!runBuild(null)) {
+    process.exit(1);
+}